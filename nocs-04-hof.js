@@ -105,3 +105,508 @@ const gt3 = highpass(3);
 
 // use higher order functions in combination with very simple first order
 // functions when composing software.
+
+//
+// Memoization
+//
+
+// highpass(3) builds a new closure every time it's called, and a pure
+// function always gives the same output for the same input. So if a pure
+// function is expensive, or called a lot with the same arguments, we can
+// remember its results. That's a higher order function, too: it takes a
+// function and returns a function that behaves the same, only faster the
+// second time.
+
+// The interesting decisions are all about the cache:
+// * key: how to turn the arguments into a cache key
+//   - 'args' (default): every argument, objects by identity
+//   - 'identity': the first argument, an object, held in a WeakMap so the
+//     entry goes away when the object does
+//   - 'structure': every argument, objects by content, so two equal but
+//     separate objects share an entry
+//   - or your own (...args) => key
+// * max: keep at most this many entries, dropping the least recently used
+// * ttl: forget entries after this many milliseconds
+// * promises are cached as soon as they're returned, so calls made while
+//   one is in flight share it; a rejected promise is forgotten, so the next
+//   call tries again
+
+// Objects get a number the first time they're seen, so keys can be strings.
+const objectIds = new WeakMap();
+let lastObjectId = 0;
+const idOf = x => {
+  if (!objectIds.has(x)) objectIds.set(x, ++lastObjectId);
+  return `#${ objectIds.get(x) }`;
+};
+
+// Symbols can't be WeakMap keys everywhere yet, so they get a Map.
+const symbolIds = new Map();
+const symbolId = s => {
+  if (!symbolIds.has(s)) symbolIds.set(s, `@${ symbolIds.size + 1 }`);
+  return symbolIds.get(s);
+};
+
+// Same keys as a Map would use: NaN matches NaN, and 0 matches -0.
+const primitiveKey = x => {
+  switch (typeof x) {
+    case 'string': return JSON.stringify(x);
+    case 'number': return Object.is(x, -0) ? '0' : String(x);
+    case 'bigint': return `${ x }n`;
+    case 'symbol': return symbolId(x);
+    default: return String(x); // boolean, undefined, null
+  }
+};
+
+const isObject = x => x !== null &&
+  (typeof x === 'object' || typeof x === 'function')
+;
+
+const identityKey = x => isObject(x) ? idOf(x) : primitiveKey(x);
+
+// Object keys are sorted, so { a, b } and { b, a } give the same key.
+// Functions are compared by identity: there's no telling what they do.
+const structuralKey = (x, seen = new Set()) => {
+  if (!isObject(x) || typeof x === 'function') return identityKey(x);
+  if (seen.has(x)) {
+    throw new TypeError('Cannot build a structural key for a circular value');
+  }
+  seen.add(x);
+  const keyOf = y => structuralKey(y, seen);
+  const sorted = entries => entries.sort().join(',');
+  let key;
+  if (x instanceof Date) key = `Date(${ x.getTime() })`;
+  else if (Array.isArray(x)) key = `[${ x.map(keyOf).join(',') }]`;
+  else if (x instanceof Map) {
+    const entries = [...x].map(([k, v]) => `${ keyOf(k) }=>${ keyOf(v) }`);
+    key = `Map{${ sorted(entries) }}`;
+  } else if (x instanceof Set) key = `Set{${ sorted([...x].map(keyOf)) }}`;
+  else {
+    const proto = Object.getPrototypeOf(x);
+    const name = proto && proto !== Object.prototype ?
+      proto.constructor.name :
+      '';
+    key = `${ name }{${ sorted(Object.keys(x).map(
+      k => `${ JSON.stringify(k) }:${ keyOf(x[k]) }`
+    )) }}`;
+  }
+  // The same object may appear twice without being circular.
+  seen.delete(x);
+  return key;
+};
+
+const keyStrategies = {
+  args: (...args) => args.map(identityKey).join(','),
+  identity: x => {
+    if (!isObject(x)) {
+      throw new TypeError(
+        `The 'identity' key needs an object as first argument, got ${
+          primitiveKey(x)
+        }`
+      );
+    }
+    return x;
+  },
+  structure: (...args) => structuralKey(args)
+};
+
+const isThenable = x => isObject(x) && typeof x.then === 'function';
+
+const memoizeWith = ({
+  key = 'args',
+  max = Infinity,
+  ttl = Infinity,
+  now = Date.now
+} = {}) => fn => {
+  const toKey = typeof key === 'function' ? key : keyStrategies[key];
+  if (!toKey) throw new TypeError(`Unknown memoize key strategy: ${ key }`);
+  const weak = key === 'identity';
+  if (weak && max !== Infinity) {
+    // A WeakMap can't tell which entry is the oldest, or how many there are.
+    throw new TypeError("The 'identity' key can't be combined with max");
+  }
+
+  let cache = weak ? new WeakMap() : new Map();
+  const counts = { hits: 0, misses: 0, evictions: 0 };
+
+  const lookup = k => {
+    if (!cache.has(k)) return undefined;
+    const entry = cache.get(k);
+    if (entry.expires <= now()) {
+      cache.delete(k);
+      counts.evictions += 1;
+      return undefined;
+    }
+    if (!weak) {
+      // move to the back of the line: Maps iterate in insertion order
+      cache.delete(k);
+      cache.set(k, entry);
+    }
+    return entry;
+  };
+
+  const store = (k, value) => {
+    const entry = { value, expires: now() + ttl };
+    cache.set(k, entry);
+    if (!weak && cache.size > max) {
+      cache.delete(cache.keys().next().value);
+      counts.evictions += 1;
+    }
+    return entry;
+  };
+
+  const memoized = (...args) => {
+    const k = toKey(...args);
+    const found = lookup(k);
+    if (found) {
+      counts.hits += 1;
+      return found.value;
+    }
+    counts.misses += 1;
+    const value = fn(...args);
+    const entry = store(k, value);
+    if (isThenable(value)) {
+      value.then(undefined, () => {
+        if (cache.get(k) === entry) cache.delete(k);
+      });
+    }
+    return value;
+  };
+
+  // Keep the name and arity, so curry() and stack traces still work.
+  Object.defineProperties(memoized, {
+    name: { value: fn.name },
+    length: { value: fn.length }
+  });
+
+  return Object.assign(memoized, {
+    stats: () => ({
+      ...counts,
+      size: weak ? undefined : cache.size,
+      hitRate: counts.hits / (counts.hits + counts.misses) || 0
+    }),
+    forget: (...args) => cache.delete(toKey(...args)),
+    // A fresh start: the stats describe the cache that's there.
+    clear: () => {
+      cache = weak ? new WeakMap() : new Map();
+      Object.assign(counts, { hits: 0, misses: 0, evictions: 0 });
+    }
+  });
+};
+
+const memoize = memoizeWith();
+
+// highpass() now hands back the same closure for the same cutoff:
+const highpass = memoize(cutoff => n => n >= cutoff);
+highpass(3) === highpass(3); // true
+[1, 2, 3, 4].filter(highpass(3)); // [3, 4]
+highpass.stats();
+// { hits: 2, misses: 1, evictions: 0, size: 1, hitRate: 0.6666666666666666 }
+highpass.clear();
+highpass.stats();
+// { hits: 0, misses: 0, evictions: 0, size: 0, hitRate: 0 }
+
+// Something slow enough to notice:
+const fib = memoize(n => n < 2 ? n : fib(n - 1) + fib(n - 2));
+fib(90); // 2880067194370816000, instantly -- without memoize, see you tomorrow
+
+// Keys:
+const area = ({ width, height }) => width * height;
+const byArgs = memoize(area);
+byArgs({ width: 2, height: 3 });
+byArgs({ width: 2, height: 3 }); // a different object: miss
+byArgs.stats().hits; // 0
+
+const byStructure = memoizeWith({ key: 'structure' })(area);
+byStructure({ width: 2, height: 3 });
+byStructure({ height: 3, width: 2 }); // same content: hit
+byStructure.stats().hits; // 1
+
+// A WeakMap cache for data derived from objects, e.g. DOM nodes or records
+// that come and go:
+const wordCount = memoizeWith({ key: 'identity' })(
+  doc => doc.text.split(/\s+/).length
+);
+const doc = { text: 'the quick brown fox' };
+wordCount(doc); // 4
+wordCount(doc); // 4, from the cache -- until doc is garbage collected
+
+// Bounded, and fresh:
+const lookupRate = memoizeWith({ max: 100, ttl: 60 * 1000 })(
+  (from, to) => Promise.resolve(from === to ? 1 : 0.9)
+);
+
+// In-flight promises are shared:
+let requests = 0;
+const fetchUser = memoize(id => {
+  requests += 1;
+  return new Promise(resolve => setTimeout(resolve, 10, { id }));
+});
+Promise.all([fetchUser(1), fetchUser(1), fetchUser(1)])
+  .then(() => requests); // 1
+
+// memoizeWith(options) is itself a function that takes a function, so it
+// slots into pipelines, or map(), point-free:
+const pipe = (...fns) => x => fns.reduce((v, f) => f(v), x);
+const slugify = s => s.trim().toLowerCase().replace(/\W+/g, '-');
+const toPath = pipe(memoize(slugify), slug => `/posts/${ slug }`);
+toPath(' Hello World '); // '/posts/hello-world'
+
+const cachedAll = [area, slugify].map(memoizeWith({ max: 10 }));
+
+//
+// Predicate combinators
+//
+
+// censor(), startsWithS() and highpass() all boil down to a predicate handed
+// to filter(). Instead of writing a new one-off predicate for every rule, we
+// can build them from a few small pieces, and combine those with and(),
+// or() and not() -- higher order functions that take predicates and return
+// a predicate.
+
+// Predicates built this way also remember how they were made, so a rule can
+// be turned into JSON, stored in a config file, and rebuilt later:
+
+//   { "$predicate": "between", "args": [1, 5] }
+
+// definePredicate(name, build) registers a kind of predicate, and returns a
+// factory for it: build(...args) returns the predicate itself. The built-in
+// ones below are defined the same way, and so can yours be.
+
+const predicateFactories = new Map();
+const predicateSpecs = new WeakMap();
+
+const definePredicate = (name, build) => {
+  if (predicateFactories.has(name)) {
+    throw new Error(`A predicate named '${ name }' is already defined`);
+  }
+  const factory = (...args) => {
+    // build() may hand back a function that's shared, like isEven; tagging
+    // that would change it for everyone, so each call gets its own.
+    const built = build(...args);
+    const predicate = x => built(x);
+    predicateSpecs.set(predicate, { name, args });
+    // JSON.stringify(predicate) works, too
+    predicate.toJSON = () => predicateToJSON(predicate);
+    return predicate;
+  };
+  predicateFactories.set(name, factory);
+  return factory;
+};
+
+// Logic
+const and = definePredicate('and', (...predicates) =>
+  x => predicates.every(p => p(x))
+);
+const or = definePredicate('or', (...predicates) =>
+  x => predicates.some(p => p(x))
+);
+const not = definePredicate('not', predicate => x => !predicate(x));
+const xor = definePredicate('xor', (a, b) =>
+  x => Boolean(a(x)) !== Boolean(b(x))
+);
+const allPass = predicates => and(...predicates);
+const anyPass = predicates => or(...predicates);
+
+// Comparisons
+
+const isPlainObject = x => x !== null && typeof x === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(x))
+;
+
+// Compares like includes() does: NaN equals NaN, and 0 equals -0.
+const sameValue = (a, b) => [a].includes(b);
+
+// The same, but arrays and plain objects are equal when their contents are.
+const sameData = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((x, i) => sameData(x, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) &&
+        sameData(a[key], b[key]));
+  }
+  return sameValue(a, b);
+};
+
+const equals = definePredicate('equals', value => x => sameValue(value, x));
+const gt = definePredicate('gt', n => x => x > n);
+const gte = definePredicate('gte', n => x => x >= n);
+const lt = definePredicate('lt', n => x => x < n);
+const lte = definePredicate('lte', n => x => x <= n);
+const between = definePredicate('between', (min, max) =>
+  x => x >= min && x <= max
+);
+
+// A regex with the g or y flag remembers where it stopped matching, so the
+// same string would pass and then fail. We test with a copy without them.
+const matches = definePredicate('matches', pattern => {
+  const regex = new RegExp(pattern, (pattern.flags || '').replace(/[gy]/g, ''));
+  return x => regex.test(String(x));
+});
+
+// Objects
+const propEq = definePredicate('propEq', (key, value) =>
+  x => x !== null && x !== undefined && sameValue(value, x[key])
+);
+
+// where({ key: predicate }) passes when every named property passes its
+// predicate. A plain value instead of a predicate is compared like equals()
+// does, except that arrays and plain objects match by their contents:
+// where({ tags: ['a'] }) passes { tags: ['a'] }.
+const where = definePredicate('where', spec => {
+  const checks = Object.entries(spec).map(([key, test]) => [
+    key,
+    typeof test === 'function' ? test : x => sameData(test, x)
+  ]);
+  return x => x !== null && x !== undefined &&
+    checks.every(([key, test]) => test(x[key]));
+});
+
+// To and from JSON
+
+// Arguments must survive the round trip unchanged, or the rebuilt predicate
+// would quietly test something else: JSON.stringify() drops undefined, turns
+// NaN into null and a Date into a string. So anything JSON can't hold as-is
+// is refused up front.
+const unserializable = (arg, reason) => new TypeError(
+  `Can't serialize ${ typeof arg === 'bigint' ? `${ arg }n` : String(arg) }: ` +
+  reason
+);
+
+const serializeArg = arg => {
+  if (typeof arg === 'function') {
+    if (!predicateSpecs.has(arg)) {
+      throw new TypeError(
+        `Can't serialize ${ arg.name || 'an anonymous function' }: only ` +
+        'predicates made with definePredicate() can be serialized'
+      );
+    }
+    const { name, args } = predicateSpecs.get(arg);
+    return { $predicate: name, args: args.map(serializeArg) };
+  }
+  if (arg instanceof RegExp) return { $regex: arg.source, flags: arg.flags };
+  if (Array.isArray(arg)) return arg.map(serializeArg);
+  if (arg !== null && typeof arg === 'object') {
+    if (!isPlainObject(arg)) {
+      throw unserializable(
+        arg.constructor ? arg.constructor.name : arg,
+        'only plain objects, arrays and regexes can be serialized'
+      );
+    }
+    return Object.fromEntries(
+      Object.entries(arg).map(([key, value]) => [key, serializeArg(value)])
+    );
+  }
+  if (typeof arg === 'number' && !Number.isFinite(arg)) {
+    throw unserializable(arg, 'JSON has no such number');
+  }
+  if (['undefined', 'bigint', 'symbol'].includes(typeof arg)) {
+    throw unserializable(arg, `JSON has no ${ typeof arg }`);
+  }
+  return arg;
+};
+
+const rebuildArg = arg => {
+  if (Array.isArray(arg)) return arg.map(rebuildArg);
+  if (arg === null || typeof arg !== 'object') return arg;
+  if (typeof arg.$predicate === 'string') {
+    const factory = predicateFactories.get(arg.$predicate);
+    if (!factory) throw new Error(`Unknown predicate '${ arg.$predicate }'`);
+    return factory(...rebuildArg(arg.args || []));
+  }
+  if (typeof arg.$regex === 'string') return new RegExp(arg.$regex, arg.flags);
+  return Object.fromEntries(
+    Object.entries(arg).map(([key, value]) => [key, rebuildArg(value)])
+  );
+};
+
+// Returns a plain object, ready for JSON.stringify().
+const predicateToJSON = predicate => {
+  if (typeof predicate !== 'function') {
+    throw new TypeError(`Expected a predicate, got ${ predicate }`);
+  }
+  return serializeArg(predicate);
+};
+
+// Takes JSON text, or the object JSON.parse() gave you.
+const predicateFromJSON = json => {
+  const predicate = rebuildArg(
+    typeof json === 'string' ? JSON.parse(json) : json
+  );
+  if (typeof predicate !== 'function') {
+    throw new TypeError(`Expected a serialized predicate, got ${ json }`);
+  }
+  return predicate;
+};
+
+// The one-offs from above, rebuilt:
+const highpass = gte;
+[1, 2, 3, 4].filter(highpass(3)); // [3, 4]
+
+const censor = words => filter(where({ length: not(equals(4)) }), words);
+censor(['oops', 'gasp', 'shout', 'sun']); // ['shout', 'sun']
+
+const startsWithS = words => filter(matches(/^s/), words);
+startsWithS(['oops', 'gasp', 'shout', 'sun']); // ['shout', 'sun']
+
+// And combined:
+const shortOrS = or(where({ length: lt(4) }), matches(/^s/));
+filter(shortOrS, ['oops', 'gasp', 'shout', 'sun', 'ok']);
+// ['shout', 'sun', 'ok']
+filter(xor(gt(2), equals(4)), [1, 2, 3, 4, 5]); // [3, 5]
+
+const users = [
+  { name: 'Ada', role: 'admin', age: 36 },
+  { name: 'Bob', role: 'user', age: 17 },
+  { name: 'Cy', role: 'user', age: 42 }
+];
+const adultUser = allPass([propEq('role', 'user'), where({ age: gte(18) })]);
+filter(adultUser, users).map(u => u.name); // ['Cy']
+
+where({ tags: ['a'] })({ tags: ['a'] }); // true
+where({ tags: ['a'] })({ tags: ['a', 'b'] }); // false
+propEq('n', NaN)({ n: NaN }); // true, like equals(NaN)
+
+// Storing a rule:
+const teenRule = where({ role: 'user', age: between(13, 19) });
+JSON.stringify(teenRule);
+// '{"$predicate":"where","args":[{"role":"user",
+//   "age":{"$predicate":"between","args":[13,19]}}]}'
+
+// ...and loading it back, say from a config file:
+const rules = {
+  hideTeens: JSON.stringify(not(teenRule)),
+  nameStartsWithC: {
+    $predicate: 'where',
+    args: [{
+      name: { $predicate: 'matches', args: [{ $regex: '^c', flags: 'i' }] }
+    }]
+  }
+};
+const hideTeens = predicateFromJSON(rules.hideTeens);
+filter(hideTeens, users).map(u => u.name); // ['Ada', 'Cy']
+filter(predicateFromJSON(rules.nameStartsWithC), users).length; // 1
+
+// Your own predicates can be stored too, once they're defined:
+const isEven = definePredicate('isEven', () => n => n % 2 === 0);
+
+// Each call makes a predicate of its own, so a factory can return a shared
+// function without it being tagged, or tagged twice:
+const isOdd = n => n % 2 === 1;
+const odd = definePredicate('odd', () => isOdd);
+odd() === isOdd; // false
+isOdd.toJSON; // undefined
+predicateFromJSON('{"$predicate":"isEven","args":[]}')(4); // true
+predicateToJSON(x => x > 1);
+// TypeError: Can't serialize an anonymous function: only predicates made
+// with definePredicate() can be serialized
+
+// ...and so are arguments that JSON would change on the way:
+where({ deleted: undefined })({ deleted: true }); // false
+JSON.stringify(where({ deleted: undefined }));
+// TypeError: Can't serialize undefined: JSON has no undefined
+JSON.stringify(gt(new Date('2024-01-01')));
+// TypeError: Can't serialize Date: only plain objects, arrays and regexes can
+// be serialized
@@ -328,3 +328,2049 @@ mdouble(Identity(4)).map(trace); // 8
 
 // Functors are great higher-order abstractions that allow you to create a
 // variety of generic functions that will work for any data type.
+
+//
+// Beyond Identity: Maybe, Either and Result
+//
+
+// ifExists() above only wraps .map(), and it decides whether a value exists
+// every time you call it. A better approach is to decide once, up front, and
+// return one of two kinds of container that know what to do:
+// * Maybe: Just(value) or Nothing() -- a value that might not be there
+// * Either: Right(value) or Left(other) -- a value or an alternative, by
+//   convention Left holds what went wrong
+// * Result: Ok(value) or Err(error) -- an Either specialized for errors
+
+// They all have the same surface as Identity (map, valueOf, toString,
+// Symbol.iterator, constructor and static is/of), plus:
+// * chain(fn) -- like map, but fn returns a container, which isn't re-wrapped
+// * ap(container) -- apply the function inside this container to the value
+//   inside another
+// * fold(onFailure, onSuccess) -- get a plain value out by handling both cases
+// * cata({ Just, Nothing }) -- fold with named cases
+
+// The "empty" side ignores map/chain/ap, which is how a chain of operations
+// short-circuits without any if statements.
+
+// Iterating yields the value, or nothing at all for the empty side, so
+// [...Just(1), ...Nothing()] is [1].
+const iterateOnce = value => () => [value][Symbol.iterator]();
+const iterateNone = () => [][Symbol.iterator]();
+
+const isNullish = x => x === undefined || x === null;
+
+// Maybe
+
+const Just = value => ({
+  map: fn => Just(fn(value)),
+  chain: fn => fn(value),
+  ap: other => other.map(value),
+  fold: (onNothing, onJust) => onJust(value),
+  cata: ({ Just }) => Just(value),
+  getOrElse: () => value,
+  isJust: true,
+  isNothing: false,
+  valueOf: () => value,
+  toString: () => `Just(${ value })`,
+  [Symbol.iterator]: iterateOnce(value),
+  constructor: Maybe
+});
+
+const Nothing = () => ({
+  map: () => Nothing(),
+  chain: () => Nothing(),
+  ap: () => Nothing(),
+  fold: (onNothing) => onNothing(),
+  cata: ({ Nothing }) => Nothing(),
+  getOrElse: fallback => fallback,
+  isJust: false,
+  isNothing: true,
+  valueOf: () => undefined,
+  toString: () => 'Nothing',
+  [Symbol.iterator]: iterateNone,
+  constructor: Maybe
+});
+
+// Like Identity, calling the type wraps a value, so start.constructor(x)
+// (see fRange above) works.
+const Maybe = value => Just(value);
+
+// Either
+
+const Right = value => ({
+  map: fn => Right(fn(value)),
+  mapLeft: () => Right(value),
+  chain: fn => fn(value),
+  ap: other => other.map(value),
+  fold: (onLeft, onRight) => onRight(value),
+  cata: ({ Right }) => Right(value),
+  getOrElse: () => value,
+  isRight: true,
+  isLeft: false,
+  valueOf: () => value,
+  toString: () => `Right(${ value })`,
+  [Symbol.iterator]: iterateOnce(value),
+  constructor: Either
+});
+
+const Left = value => ({
+  map: () => Left(value),
+  mapLeft: fn => Left(fn(value)),
+  chain: () => Left(value),
+  ap: () => Left(value),
+  fold: (onLeft) => onLeft(value),
+  cata: ({ Left }) => Left(value),
+  getOrElse: fallback => fallback,
+  isRight: false,
+  isLeft: true,
+  valueOf: () => value,
+  toString: () => `Left(${ value })`,
+  [Symbol.iterator]: iterateNone,
+  constructor: Either
+});
+
+const Either = value => Right(value);
+
+// Result
+
+const Ok = value => ({
+  map: fn => Ok(fn(value)),
+  mapErr: () => Ok(value),
+  chain: fn => fn(value),
+  ap: other => other.map(value),
+  fold: (onErr, onOk) => onOk(value),
+  cata: ({ Ok }) => Ok(value),
+  getOrElse: () => value,
+  unwrap: () => value,
+  isOk: true,
+  isErr: false,
+  valueOf: () => value,
+  toString: () => `Ok(${ value })`,
+  [Symbol.iterator]: iterateOnce(value),
+  constructor: Result
+});
+
+const Err = error => ({
+  map: () => Err(error),
+  mapErr: fn => Err(fn(error)),
+  chain: () => Err(error),
+  ap: () => Err(error),
+  fold: (onErr) => onErr(error),
+  cata: ({ Err }) => Err(error),
+  getOrElse: fallback => fallback,
+  unwrap: () => {
+    throw error;
+  },
+  isOk: false,
+  isErr: true,
+  valueOf: () => error,
+  toString: () => `Err(${ error })`,
+  [Symbol.iterator]: iterateNone,
+  constructor: Result
+});
+
+const Result = value => Ok(value);
+
+// Statics and conversions
+
+// Conversions from promises resolve to a container and never reject: the
+// rejection ends up on the failure side instead.
+
+Object.assign(Maybe, {
+  toString: () => 'Maybe',
+  is: x => !isNullish(x) && x.constructor === Maybe,
+  of: Just,
+  Just,
+  Nothing,
+  fromNullable: x => isNullish(x) ? Nothing() : Just(x),
+  fromEither: e => e.fold(() => Nothing(), Just),
+  fromResult: r => r.fold(() => Nothing(), Just),
+  fromPromise: p => Promise.resolve(p).then(Maybe.fromNullable, () => Nothing())
+});
+
+Object.assign(Either, {
+  toString: () => 'Either',
+  is: x => !isNullish(x) && x.constructor === Either,
+  of: Right,
+  Left,
+  Right,
+  fromNullable: (x, left = x) => isNullish(x) ? Left(left) : Right(x),
+  fromMaybe: (m, left) => m.fold(() => Left(left), Right),
+  fromResult: r => r.fold(Left, Right),
+  tryCatch: fn => {
+    try {
+      return Right(fn());
+    } catch (error) {
+      return Left(error);
+    }
+  },
+  fromPromise: p => Promise.resolve(p).then(Right, Left)
+});
+
+Object.assign(Result, {
+  toString: () => 'Result',
+  is: x => !isNullish(x) && x.constructor === Result,
+  of: Ok,
+  Ok,
+  Err,
+  fromNullable: (x, error = new TypeError(`Expected a value, got ${ x }`)) =>
+    isNullish(x) ? Err(error) : Ok(x),
+  fromMaybe: (m, error) => m.fold(() => Err(error), Ok),
+  fromEither: e => e.fold(Err, Ok),
+  try: fn => {
+    try {
+      return Ok(fn());
+    } catch (error) {
+      return Err(error);
+    }
+  },
+  fromPromise: p => Promise.resolve(p).then(Ok, Err),
+  // and back again: Ok resolves, Err rejects
+  toPromise: r => r.fold(e => Promise.reject(e), v => Promise.resolve(v))
+});
+
+// ifExists(), done properly:
+Maybe.fromNullable(undefined).map(trace); // nothing happens
+Maybe.fromNullable(20)
+  .map(add1)
+  .map(double)
+  .map(trace) // 42
+;
+
+// fold() is how you get back out:
+const greet = name => Maybe.fromNullable(name)
+  .map(n => `Hello, ${ n }!`)
+  .fold(() => 'Hello, stranger.', x => x)
+;
+greet('Ada'); // 'Hello, Ada!'
+greet(null); // 'Hello, stranger.'
+
+// chain() for steps that may themselves fail:
+const parseJSON = text => Result.try(() => JSON.parse(text));
+const getPort = config => Result.fromNullable(
+  config.port,
+  new Error('Missing port')
+);
+parseJSON('{"port": 8080}').chain(getPort).toString(); // 'Ok(8080)'
+parseJSON('{}').chain(getPort).toString(); // 'Err(Error: Missing port)'
+parseJSON('{').chain(getPort).isErr; // true
+
+// ap() applies a wrapped function to a wrapped value:
+const add = a => b => a + b;
+Just(add).ap(Just(2)).ap(Just(3)).toString(); // 'Just(5)'
+Just(add).ap(Nothing()).ap(Just(3)).toString(); // 'Nothing'
+
+// cata() reads like a match expression:
+Either.fromNullable(undefined, 'no user').cata({
+  Left: reason => `Failed: ${ reason }`,
+  Right: user => `Found ${ user }`
+}); // 'Failed: no user'
+
+// Converting between them:
+Maybe.fromResult(Err(new Error('nope'))).toString(); // 'Nothing'
+Either.fromMaybe(Nothing(), 'was empty').toString(); // 'Left(was empty)'
+Result.fromPromise(Promise.reject(new Error('offline')))
+  .then(r => r.toString())
+  .then(trace); // 'Err(Error: offline)'
+
+// And they are still functors of the same family as Identity:
+Maybe.is(Just(1)); // true
+Maybe.is(Identity(1)); // false
+[...Just(1), ...Nothing(), ...Right(2), ...Err('x')]; // [1, 2]
+
+//
+// Monads
+//
+
+// Remember "Don't worry about what monads are, yet"? Maybe, Either and
+// Result above already are monads. A monad is a functor with two extras:
+// * of(value) -- put a plain value into the container (a.k.a. return, pure)
+// * chain(fn) -- map with a function that returns a container, without
+//   nesting the result (a.k.a. flatMap, bind, >>=)
+// and usually a third, which any monad can derive from the other two:
+// * ap(container) -- apply a wrapped function to a wrapped value
+
+// Monad laws, for the curious:
+// 1. Left identity: M.of(a).chain(f) is equivalent to f(a)
+// 2. Right identity: m.chain(M.of) is equivalent to m
+// 3. Associativity: m.chain(f).chain(g) is equivalent to
+//    m.chain(x => f(x).chain(g))
+
+// Identity with the lot, plus the monad interface:
+
+const Identity = value => ({
+  map: fn => Identity(fn(value)),
+  chain: fn => fn(value),
+  ap: other => other.map(value),
+  valueOf: () => value,
+  toString: () => `Identity(${value})`,
+  [Symbol.iterator]: () => {
+    let first = true;
+    return ({
+      next: () => {
+        if (first) {
+          first = false;
+          return ({
+            done: false,
+            value
+          });
+        }
+        return ({
+          done: true
+        });
+      }
+    });
+  },
+  constructor: Identity
+});
+Object.assign(Identity, {
+  toString: () => 'Identity',
+  is: x => typeof x.map === 'function',
+  of: Identity
+});
+
+Identity(2).chain(n => Identity(n + 1)).toString(); // 'Identity(3)'
+Identity(double).ap(Identity(21)).toString(); // 'Identity(42)'
+
+// Promise is almost there: Promise.resolve() is of(), and .then() is chain()
+// when the callback returns a promise. Arrays have Array.of() and .flatMap().
+
+// Do notation
+
+// Sequencing with chain() nests a callback per step:
+Just(2).chain(a =>
+  Just(3).chain(b =>
+    Just(a * b)
+  )
+); // Just(6)
+
+// Generators let us write the same thing top to bottom: each yield hands a
+// container to Do(), which chains on it and resumes the generator with the
+// value inside. The generator's return value is wrapped with M.of().
+
+// Do(M) works for any type with of() (or Promise's resolve()) whose
+// instances have chain() (or then(), or flatMap() for arrays).
+
+const chainOf = m => {
+  if (m && typeof m.chain === 'function') return fn => m.chain(fn);
+  if (m && typeof m.then === 'function') return fn => m.then(fn);
+  if (m && typeof m.flatMap === 'function') return fn => m.flatMap(fn);
+  throw new TypeError(`Do() can only yield monads, got ${ m }`);
+};
+
+const ofOf = M => {
+  if (typeof M.of === 'function') return M.of;
+  if (typeof M.resolve === 'function') return x => M.resolve(x);
+  throw new TypeError(`${ M } has no of() or resolve()`);
+};
+
+// A generator can only be resumed once per yield, but some monads (like
+// arrays) call the continuation many times. The first call resumes the live
+// generator; any later call starts a fresh one and replays the values seen
+// so far. So keep the code between yields free of side effects.
+//
+// A rejected promise is thrown into the generator with gen.throw(), so a
+// try/catch around a yield works just like one around an await.
+const Do = M => genFn => {
+  const of = ofOf(M);
+
+  const replay = history => {
+    const gen = genFn();
+    let step = gen.next();
+    history.forEach(value => {
+      step = gen.next(value);
+    });
+    return [gen, step];
+  };
+
+  const continueFrom = (gen, step, history) => {
+    if (step.done) return of(step.value);
+    let resumed = false;
+    const resume = value => {
+      const seen = [...history, value];
+      if (!resumed) {
+        resumed = true;
+        return continueFrom(gen, gen.next(value), seen);
+      }
+      return continueFrom(...replay(seen), seen);
+    };
+    const m = step.value;
+    if (m && typeof m.chain !== 'function' && typeof m.then === 'function') {
+      return m.then(
+        resume,
+        error => continueFrom(gen, gen.throw(error), history)
+      );
+    }
+    return chainOf(m)(resume);
+  };
+
+  return continueFrom(...replay([]), []);
+};
+
+// Maybe: short-circuits on the first Nothing
+Do(Maybe)(function* () {
+  const a = yield Just(2);
+  const b = yield Just(3);
+  return a * b;
+}).toString(); // 'Just(6)'
+
+Do(Maybe)(function* () {
+  const a = yield Just(2);
+  const b = yield Nothing();
+  return a * b;
+}).toString(); // 'Nothing'
+
+// Result: the first Err wins
+const config = Do(Result)(function* () {
+  const parsed = yield parseJSON('{"port": 8080}');
+  const port = yield getPort(parsed);
+  return `http://localhost:${ port }`;
+});
+config.toString(); // 'Ok(http://localhost:8080)'
+
+// Arrays: every combination, like a nested loop
+Do(Array)(function* () {
+  const x = yield [1, 2];
+  const y = yield ['a', 'b'];
+  return `${ x }${ y }`;
+}); // ['1a', '1b', '2a', '2b']
+
+// Promise: async/await is in fact do notation for promises
+const fetchUser = id => id > 0 ?
+  Promise.resolve({ id, name: 'Ada' }) :
+  Promise.reject(new Error(`No user ${ id }`))
+;
+Do(Promise)(function* () {
+  const user = yield fetchUser(1);
+  return user.name;
+}).then(trace); // Ada
+
+Do(Promise)(function* () {
+  try {
+    const user = yield fetchUser(0);
+    return user.name;
+  } catch (error) {
+    return error.message;
+  }
+}).then(trace); // No user 0
+
+//
+// Checking the laws
+//
+
+// Above, we convinced ourselves that Identity is lawful with trace() and two
+// hand-picked values. That doesn't scale to the containers you write
+// yourself. Property-based testing does: state the law, generate lots of
+// random inputs (including random functions), and if the law ever fails,
+// shrink the failing input down to the smallest one that still fails.
+
+// Everything below is self-contained -- no test framework required.
+
+// A seeded random number generator (mulberry32), so any failure can be
+// reproduced by running again with the same seed.
+const seeded = seed => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1))
+  };
+};
+
+// A cheap string hash, used to give random functions a deterministic output
+// for each input.
+const hashString = s => [...s].reduce(
+  (h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619) >>> 0,
+  2166136261
+);
+
+// Generators produce a rose tree: a value plus a lazy list of smaller
+// candidate trees to try when shrinking. Mapping over a generator maps over
+// the whole tree, so Gen.map(Type.of) shrinks containers by shrinking what's
+// inside them. (Yes, Gen is a functor too.)
+const Tree = (value, shrinks = () => []) => ({ value, shrinks });
+const mapTree = (fn, tree) => Tree(
+  fn(tree.value),
+  () => tree.shrinks().map(child => mapTree(fn, child))
+);
+
+const Gen = run => ({
+  run, // (rng, size) => Tree
+  map: fn => Gen((rng, size) => mapTree(fn, run(rng, size)))
+});
+
+const intShrinks = n => [...new Set([0, Math.trunc(n / 2), n - Math.sign(n)])]
+  .filter(c => Math.abs(c) < Math.abs(n))
+;
+const intTree = n => Tree(n, () => intShrinks(n).map(intTree));
+
+// Shrinks an array by dropping one element, or by shrinking one element.
+const arrayTree = trees => Tree(
+  trees.map(t => t.value),
+  () => [
+    ...trees.map((t, i) => arrayTree(trees.filter((x, j) => j !== i))),
+    ...trees.flatMap((t, i) => t.shrinks().map(child =>
+      arrayTree(trees.map((x, j) => j === i ? child : x))
+    ))
+  ]
+);
+
+// Tuples have a fixed shape, so they only shrink element by element.
+const tupleTree = trees => Tree(
+  trees.map(t => t.value),
+  () => trees.flatMap((t, i) => t.shrinks().map(child =>
+    tupleTree(trees.map((x, j) => j === i ? child : x))
+  ))
+);
+
+// Strings, arrays and plain objects read best as JSON; containers have their
+// own toString().
+const describe = x => typeof x === 'string' ||
+  Array.isArray(x) ||
+  (x !== null && typeof x === 'object' &&
+    x.toString === Object.prototype.toString) ?
+    JSON.stringify(x) :
+    String(x)
+;
+
+const gens = {
+  int: Gen((rng, size) => intTree(rng.int(-size, size))),
+  nat: Gen((rng, size) => intTree(rng.int(0, size))),
+  constant: value => Gen(() => Tree(value)),
+  oneOf: (...choices) => Gen((rng, size) =>
+    choices[rng.int(0, choices.length - 1)].run(rng, size)
+  ),
+  array: gen => Gen((rng, size) => arrayTree(
+    Array.from({ length: rng.int(0, size) }, () => gen.run(rng, size))
+  )),
+  tuple: (...gens) => Gen((rng, size) =>
+    tupleTree(gens.map(gen => gen.run(rng, size)))
+  ),
+  // Random pure functions: the output for each input is picked by a random
+  // generator seeded from the function's own seed and the input.
+  fn: (out = gens.int) => Gen((rng, size) => {
+    const seed = rng.int(0, 2 ** 31);
+    const fn = x => out.run(
+      seeded(seed ^ hashString(describe(x))),
+      size
+    ).value;
+    fn.toString = () => `<fn #${ seed }>`;
+    return Tree(fn);
+  })
+};
+gens.string = gens.array(gens.nat).map(
+  codes => codes.map(c => String.fromCharCode(97 + (c % 26))).join('')
+);
+
+const failsWith = (holds, args) => {
+  try {
+    return holds(...args) ? undefined : { error: undefined };
+  } catch (error) {
+    return { error };
+  }
+};
+
+// Greedy shrinking: keep taking the first smaller candidate that still fails.
+const shrinkFailure = (tree, holds, maxShrinks = 1000) => {
+  let current = tree;
+  let failure = failsWith(holds, tree.value);
+  let shrinks = 0;
+  let progress = true;
+  while (progress && shrinks < maxShrinks) {
+    progress = false;
+    for (const child of current.shrinks()) {
+      const childFailure = failsWith(holds, child.value);
+      if (childFailure) {
+        current = child;
+        failure = childFailure;
+        shrinks += 1;
+        progress = true;
+        break;
+      }
+    }
+  }
+  return { args: current.value, shrinks, error: failure.error };
+};
+
+// A law is { name, args: Gen of an argument tuple, holds: (...args) => bool }
+const typeName = Type => Object.prototype.hasOwnProperty.call(Type, 'toString') ?
+  String(Type) :
+  Type.name || 'anonymous'
+;
+
+const checkLaws = (kind, Type, laws, {
+  runs = 100,
+  seed = Date.now() >>> 0
+} = {}) => {
+  const rng = seeded(seed);
+  const results = laws.map(({ name, args, holds }) => {
+    for (let run = 1; run <= runs; run++) {
+      const tree = args.run(rng, Math.min(run, 50));
+      if (!failsWith(holds, tree.value)) continue;
+      const { args: counterexample, shrinks, error } = shrinkFailure(
+        tree, holds
+      );
+      return {
+        law: name,
+        ok: false,
+        run,
+        shrinks,
+        counterexample: counterexample.map(describe),
+        error
+      };
+    }
+    return { law: name, ok: true, runs };
+  });
+  return {
+    type: typeName(Type),
+    kind,
+    seed,
+    ok: results.every(r => r.ok),
+    results
+  };
+};
+
+const sameString = (a, b) => String(a) === String(b);
+
+const checkFunctorLaws = (Type, {
+  gen = gens.int.map(Type.of),
+  fnGen = gens.fn(),
+  equals = sameString,
+  ...options
+} = {}) => checkLaws('functor', Type, [
+  {
+    name: 'identity',
+    args: gens.tuple(gen),
+    holds: u => equals(u.map(x => x), u)
+  },
+  {
+    name: 'composition',
+    args: gens.tuple(gen, fnGen, fnGen),
+    holds: (u, f, g) => equals(u.map(x => f(g(x))), u.map(g).map(f))
+  }
+], options);
+
+// ap() follows the convention used above: Type.of(fn).ap(Type.of(x)).
+const checkApplicativeLaws = (Type, {
+  gen = gens.int.map(Type.of),
+  valueGen = gens.int,
+  fnGen = gens.fn(),
+  wrappedFnGen = fnGen.map(Type.of),
+  equals = sameString,
+  ...options
+} = {}) => checkLaws('applicative', Type, [
+  {
+    name: 'identity',
+    args: gens.tuple(gen),
+    holds: v => equals(Type.of(x => x).ap(v), v)
+  },
+  {
+    name: 'homomorphism',
+    args: gens.tuple(fnGen, valueGen),
+    holds: (f, x) => equals(Type.of(f).ap(Type.of(x)), Type.of(f(x)))
+  },
+  {
+    name: 'interchange',
+    args: gens.tuple(wrappedFnGen, valueGen),
+    holds: (u, y) => equals(
+      u.ap(Type.of(y)),
+      Type.of(f => f(y)).ap(u)
+    )
+  },
+  {
+    name: 'composition',
+    args: gens.tuple(wrappedFnGen, wrappedFnGen, gen),
+    holds: (u, v, w) => equals(
+      Type.of(f => g => x => f(g(x))).ap(u).ap(v).ap(w),
+      u.ap(v.ap(w))
+    )
+  }
+], options);
+
+// fnGen must produce functions that return containers.
+const checkMonadLaws = (Type, {
+  gen = gens.int.map(Type.of),
+  valueGen = gens.int,
+  fnGen = gens.fn(gen),
+  equals = sameString,
+  ...options
+} = {}) => checkLaws('monad', Type, [
+  {
+    name: 'left identity',
+    args: gens.tuple(valueGen, fnGen),
+    holds: (a, f) => equals(Type.of(a).chain(f), f(a))
+  },
+  {
+    name: 'right identity',
+    args: gens.tuple(gen),
+    holds: m => equals(m.chain(Type.of), m)
+  },
+  {
+    name: 'associativity',
+    args: gens.tuple(gen, fnGen, fnGen),
+    holds: (m, f, g) => equals(
+      m.chain(f).chain(g),
+      m.chain(x => f(x).chain(g))
+    )
+  }
+], options);
+
+// For unit tests: throw with a message naming the broken law.
+const assertLawful = report => {
+  const failed = report.results.filter(r => !r.ok);
+  if (failed.length === 0) return report;
+  throw new Error(failed.map(({ law, counterexample, error }) =>
+    `${ report.type } breaks the ${ report.kind } ${ law } law. ` +
+    `Counterexample: (${ counterexample.join(', ') })` +
+    (error ? `, threw ${ error }` : '')
+  ).concat(`(seed ${ report.seed })`).join('\n'));
+};
+
+checkFunctorLaws(Identity).ok; // true
+checkApplicativeLaws(Identity).ok; // true
+checkMonadLaws(Identity).ok; // true
+
+// Containers with more than one shape need a generator that produces all of
+// them:
+const maybeGen = gens.oneOf(gens.int.map(Just), gens.constant(Nothing()));
+checkMonadLaws(Maybe, { gen: maybeGen }).ok; // true
+
+// A functor that "helpfully" counts how many times it was mapped over:
+const Counted = (value, count = 0) => ({
+  map: fn => Counted(fn(value), count + 1),
+  toString: () => `Counted(${ value }, ${ count })`
+});
+Counted.of = Counted;
+Counted.toString = () => 'Counted';
+
+const report = checkFunctorLaws(Counted, { seed: 42 });
+report.results;
+// [
+//   { law: 'identity', ok: false, run: 1, shrinks: 0,
+//     counterexample: ['Counted(0, 0)'], error: undefined },
+//   { law: 'composition', ok: false, run: 1, shrinks: 0,
+//     counterexample: ['Counted(0, 0)', '<fn #1830656352>', '<fn #1438242903>'],
+//     error: undefined }
+// ]
+assertLawful(report);
+// Error: Counted breaks the functor identity law. Counterexample: (Counted(0, 0))
+// Counted breaks the functor composition law. Counterexample: (Counted(0, 0), ...
+// (seed 42)
+
+//
+// A better curry
+//
+
+// The curry() magic spell above waits until it has f.length arguments. But
+// f.length doesn't count default parameters or rest parameters, so:
+const greeting = (greet, name = 'you') => `${ greet }, ${ name }!`;
+greeting.length; // 1 -- curry(greeting)('Hi') calls it right away
+const sum = (...nums) => nums.reduce((a, b) => a + b, 0);
+sum.length; // 0 -- curry(sum)(1) returns 1, and there's no way to add more
+
+// It also can't skip an argument: to fix the functor before the function,
+// you have to write a wrapper by hand.
+
+// This version:
+// * takes an explicit arity when f.length is wrong: curryN(3, sum)
+// * accepts a placeholder, __, to leave a slot open: map(__, Identity(4))
+// * gives every partial an honest length (how many arguments it still
+//   needs) and the original function's name, so introspection still works,
+//   and so does curry(curry(f))
+
+const __ = Symbol('placeholder');
+
+const named = (name, length, fn) => Object.defineProperties(fn, {
+  name: { value: name, configurable: true },
+  length: { value: length, configurable: true }
+});
+
+// Fill the open slots in `held` from the left with `args`; anything left
+// over goes on the end.
+const fillSlots = (held, args) => {
+  let next = 0;
+  const filled = held.map(x => x === __ && next < args.length ? args[next++] : x);
+  return [...filled, ...args.slice(next)];
+};
+
+// How many of the first `arity` arguments are still missing.
+const missing = (arity, args) => arity - args
+  .slice(0, arity)
+  .filter(x => x !== __)
+  .length
+;
+
+const curryN = (arity, f, held = []) => named(
+  f.name,
+  missing(arity, held),
+  (...args) => {
+    const all = fillSlots(held, args);
+    return missing(arity, all) <= 0 ? f(...all) : curryN(arity, f, all);
+  }
+);
+
+const curry = (f, arity = f.length) => curryN(arity, f);
+
+const map = curry((fn, F) => F.map(fn));
+map.length; // 2
+map(double)(Identity(4)).toString(); // 'Identity(8)'
+
+const mapOverFour = map(__, Identity(4));
+mapOverFour.length; // 1
+mapOverFour(double).toString(); // 'Identity(8)'
+mapOverFour(add1).toString(); // 'Identity(5)'
+
+curry(greeting, 2)('Hi')('Ada'); // 'Hi, Ada!'
+curryN(3, sum)(1)(2, 3); // 6
+curryN(3, sum)(1, __, 3).name; // 'sum'
+
+// Built on the same machinery:
+
+// uncurry() turns a chain of unary functions into one function that takes
+// all of the arguments at once.
+const uncurry = (f, arity = f.length) => named(
+  f.name,
+  arity,
+  (...args) => args.slice(0, arity).reduce((g, arg) => g(arg), f)
+);
+
+const add3 = a => b => c => a + b + c;
+uncurry(add3, 3)(1, 2, 3); // 6
+
+// flip() swaps the first two arguments, and is curried.
+const flip = (f, arity = Math.max(f.length, 2)) => curryN(
+  arity,
+  named(f.name, arity, (a, b, ...rest) => f(b, a, ...rest))
+);
+
+const subtract = (a, b) => a - b;
+flip(subtract)(1)(10); // 9
+
+// partial() and partialRight() fix arguments at either end, by holding
+// placeholders for the rest.
+const partial = (f, ...args) => curryN(f.length, f)(...args);
+
+const partialRight = (f, ...args) => {
+  const arity = Math.max(f.length, args.length);
+  return curryN(arity, f, [
+    ...Array(Math.max(arity - args.length, 0)).fill(__),
+    ...args
+  ]);
+};
+
+const divide = (a, b) => a / b;
+const half = partialRight(divide, 2);
+half(10); // 5
+partial(divide, 10)(2); // 5
+
+// greeting.length is 1, so partialRight(greeting, 'Ada') can't know
+// there's a second slot. Say so with curryN() and a placeholder instead:
+const greetAda = curryN(2, greeting)(__, 'Ada');
+greetAda('Hello'); // 'Hello, Ada!'
+greetAda.length; // 1
+
+//
+// Lazy sequences
+//
+
+// Identity implements Symbol.iterator so it can be spread into arrays. Any
+// iterable can be a functor the same way -- and if map() returns a new
+// iterable instead of a new array, nothing is computed until somebody
+// iterates. That makes infinite sequences practical: only the values you
+// ask for are ever produced.
+
+// Seq wraps anything iterable. Every operation returns a new Seq that runs a
+// generator when iterated; nothing happens until then. A Seq can be iterated
+// more than once if its source can (arrays, Sets, other Seqs...), but not
+// if it wraps a one-shot iterator such as a generator object.
+
+const fromGenerator = genFn => ({
+  [Symbol.iterator]: genFn,
+
+  map: fn => fromGenerator(function* () {
+    for (const x of genFn()) yield fn(x);
+  }),
+  filter: predicate => fromGenerator(function* () {
+    for (const x of genFn()) if (predicate(x)) yield x;
+  }),
+  // fn returns anything iterable: an array, a Seq, an Identity...
+  flatMap: fn => fromGenerator(function* () {
+    for (const x of genFn()) yield* fn(x);
+  }),
+  chain: fn => fromGenerator(genFn).flatMap(fn),
+  // Seq of functions applied to a Seq of values: every combination
+  ap: other => fromGenerator(genFn).flatMap(fn => Seq(other).map(fn)),
+
+  take: n => fromGenerator(function* () {
+    if (n <= 0) return;
+    let count = 0;
+    for (const x of genFn()) {
+      yield x;
+      // stop before pulling one more item than we need
+      if (++count >= n) return;
+    }
+  }),
+  drop: n => fromGenerator(function* () {
+    let count = 0;
+    for (const x of genFn()) {
+      if (count++ >= n) yield x;
+    }
+  }),
+  takeWhile: predicate => fromGenerator(function* () {
+    for (const x of genFn()) {
+      if (!predicate(x)) return;
+      yield x;
+    }
+  }),
+  // Stops at the end of the shortest input.
+  zip: (...others) => fromGenerator(function* () {
+    const iterators = [genFn(), ...others.map(o => o[Symbol.iterator]())];
+    try {
+      while (true) {
+        const steps = iterators.map(it => it.next());
+        if (steps.some(step => step.done)) return;
+        yield steps.map(step => step.value);
+      }
+    } finally {
+      iterators.forEach(it => it.return && it.return());
+    }
+  }),
+  // Non-overlapping groups; the last one may be shorter.
+  chunk: size => fromGenerator(function* () {
+    let chunk = [];
+    for (const x of genFn()) {
+      chunk.push(x);
+      if (chunk.length === size) {
+        yield chunk;
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) yield chunk;
+  }),
+  // Sliding windows of exactly `size` items, moving `step` at a time.
+  window: (size, step = 1) => fromGenerator(function* () {
+    let window = [];
+    let skip = 0;
+    for (const x of genFn()) {
+      if (skip > 0) {
+        skip -= 1;
+        continue;
+      }
+      window.push(x);
+      if (window.length === size) {
+        yield [...window];
+        window = window.slice(step);
+        skip = Math.max(step - size, 0);
+      }
+    }
+  }),
+  // Running totals: yields each intermediate accumulator, like a reduce you
+  // can watch.
+  scan: (reducer, initial) => fromGenerator(function* () {
+    let acc = initial;
+    for (const x of genFn()) {
+      acc = reducer(acc, x);
+      yield acc;
+    }
+  }),
+
+  // These consume the sequence, so don't call them on infinite ones without
+  // a take() first.
+  toArray: () => [...genFn()],
+  reduce: (reducer, initial) => {
+    let acc = initial;
+    for (const x of genFn()) acc = reducer(acc, x);
+    return acc;
+  },
+  forEach: fn => {
+    for (const x of genFn()) fn(x);
+  },
+  first: () => {
+    for (const x of genFn()) return x;
+    return undefined;
+  },
+
+  // Shows at most 10 items, so it's safe on infinite sequences.
+  toString: () => {
+    const items = fromGenerator(genFn).take(11).toArray();
+    const shown = items.slice(0, 10).map(String);
+    return `Seq(${ [...shown, ...(items.length > 10 ? ['…'] : [])].join(', ') })`;
+  },
+  constructor: Seq
+});
+
+const Seq = iterable => fromGenerator(function* () {
+  yield* iterable;
+});
+
+Object.assign(Seq, {
+  toString: () => 'Seq',
+  is: x => x != null && x.constructor === Seq,
+  of: (...items) => Seq(items),
+  from: iterable => Seq(iterable),
+  empty: () => Seq([]),
+  // Counts from start towards end (exclusive) by step; by default forever.
+  range: (start = 0, end = Infinity, step = 1) => fromGenerator(function* () {
+    if (step === 0) throw new RangeError('Seq.range() step must not be 0');
+    for (let i = start; step > 0 ? i < end : i > end; i += step) yield i;
+  }),
+  // seed, fn(seed), fn(fn(seed)), ...
+  iterate: (fn, seed) => fromGenerator(function* () {
+    let x = seed;
+    while (true) {
+      yield x;
+      x = fn(x);
+    }
+  }),
+  // Repeats the items of a (re-iterable) input forever.
+  cycle: iterable => fromGenerator(function* () {
+    const items = [...iterable];
+    if (items.length === 0) return;
+    while (true) yield* items;
+  })
+});
+
+Seq.range().map(double).take(3).toArray(); // [0, 2, 4]
+Seq.iterate(n => n * 2, 1).toString(); // 'Seq(1, 2, 4, 8, 16, 32, 64, 128, 256, 512, …)'
+Seq.range(1).zip(Seq.cycle(['a', 'b'])).take(3).toArray();
+// [[1, 'a'], [2, 'b'], [3, 'a']]
+Seq.of(1, 2, 3, 4, 5).chunk(2).toArray(); // [[1, 2], [3, 4], [5]]
+Seq.of(1, 2, 3, 4, 5).window(3).toArray(); // [[1, 2, 3], [2, 3, 4], [3, 4, 5]]
+Seq.range(1, 5).scan((acc, n) => acc + n, 0).toArray(); // [1, 3, 6, 10]
+
+// Nothing runs until it has to:
+const noisy = Seq.range(1).map(trace);
+noisy.take(2).toArray(); // logs 1, 2 -- and nothing else
+
+// Interop: arrays and fRange() in, arrays out.
+[...Seq([1, 2, 3]).map(add1)]; // [2, 3, 4]
+Seq(fRange(Identity(2), 4)).flatMap(x => x).toArray(); // [2, 3, 4]
+Seq(fRange(Identity(2), 4)).map(x => x.map(double)).first().toString();
+// 'Identity(4)'
+
+// A lawful functor (and monad), as far as the law checker can tell:
+const seqGen = gens.array(gens.int).map(Seq.from);
+const sameItems = (a, b) =>
+  JSON.stringify([...a]) === JSON.stringify([...b])
+;
+checkFunctorLaws(Seq, { gen: seqGen, equals: sameItems }).ok; // true
+checkMonadLaws(Seq, {
+  gen: seqGen,
+  fnGen: gens.fn(seqGen),
+  equals: sameItems
+}).ok; // true
+
+// Async sequences
+
+// AsyncSeq is the same idea for async iterables, including Node streams
+// (readable streams are async iterable). Callbacks may return promises, and
+// the consuming methods return promises.
+
+const fromAsyncGenerator = genFn => ({
+  [Symbol.asyncIterator]: genFn,
+
+  map: fn => fromAsyncGenerator(async function* () {
+    for await (const x of genFn()) yield await fn(x);
+  }),
+  filter: predicate => fromAsyncGenerator(async function* () {
+    for await (const x of genFn()) if (await predicate(x)) yield x;
+  }),
+  flatMap: fn => fromAsyncGenerator(async function* () {
+    for await (const x of genFn()) yield* await fn(x);
+  }),
+  take: n => fromAsyncGenerator(async function* () {
+    if (n <= 0) return;
+    let count = 0;
+    for await (const x of genFn()) {
+      yield x;
+      if (++count >= n) return;
+    }
+  }),
+  drop: n => fromAsyncGenerator(async function* () {
+    let count = 0;
+    for await (const x of genFn()) {
+      if (count++ >= n) yield x;
+    }
+  }),
+  chunk: size => fromAsyncGenerator(async function* () {
+    let chunk = [];
+    for await (const x of genFn()) {
+      chunk.push(x);
+      if (chunk.length === size) {
+        yield chunk;
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) yield chunk;
+  }),
+  scan: (reducer, initial) => fromAsyncGenerator(async function* () {
+    let acc = initial;
+    for await (const x of genFn()) {
+      acc = await reducer(acc, x);
+      yield acc;
+    }
+  }),
+
+  toArray: async () => {
+    const items = [];
+    for await (const x of genFn()) items.push(x);
+    return items;
+  },
+  reduce: async (reducer, initial) => {
+    let acc = initial;
+    for await (const x of genFn()) acc = await reducer(acc, x);
+    return acc;
+  },
+  forEach: async fn => {
+    for await (const x of genFn()) await fn(x);
+  },
+
+  toString: () => 'AsyncSeq(…)',
+  constructor: AsyncSeq
+});
+
+// Accepts async and sync iterables alike.
+const AsyncSeq = iterable => fromAsyncGenerator(async function* () {
+  yield* iterable;
+});
+
+Object.assign(AsyncSeq, {
+  toString: () => 'AsyncSeq',
+  is: x => x != null && x.constructor === AsyncSeq,
+  of: (...items) => AsyncSeq(items),
+  from: iterable => AsyncSeq(iterable),
+  // Splits a stream of text chunks into lines.
+  lines: stream => fromAsyncGenerator(async function* () {
+    let rest = '';
+    for await (const chunk of stream) {
+      const parts = (rest + chunk).split(/\r?\n/);
+      rest = parts.pop();
+      yield* parts;
+    }
+    if (rest !== '') yield rest;
+  })
+});
+
+AsyncSeq.of(1, 2, 3)
+  .map(n => Promise.resolve(n * 2))
+  .toArray()
+  .then(trace); // [2, 4, 6]
+
+// The first 2 non-empty lines of a stream, without reading all of it. Any
+// async iterable of text chunks works -- fs.createReadStream(path, 'utf8')
+// for a file, or here, a stream made up on the spot. Lines split across
+// chunks are put back together:
+const { Readable } = require('stream');
+const chunks = Readable.from([
+  '# Notes\n\nFunctors are map',
+  'pable.\nMore...'
+]);
+AsyncSeq.lines(chunks)
+  .filter(line => line.trim() !== '')
+  .take(2)
+  .toArray()
+  .then(trace); // ['# Notes', 'Functors are mappable.']
+
+//
+// Ranges over anything enumerable
+//
+
+// fRange(start, end) only works for integer contents, one step at a time:
+// start.constructor(i + start) relies on valueOf() returning a number.
+
+// To enumerate anything, all we need is a way to move forwards or backwards
+// and a way to compare. An enum is:
+//   succ(x, n) -- the value n steps after x (n may be negative); undefined
+//                 when there is no such value
+//   compare(a, b) -- negative, zero or positive, like a sort comparator
+//   fractional -- optional, true if succ() accepts a fractional n. Only
+//                 numbers do; every other enum takes whole steps only.
+// Asking for "n steps after the start" rather than "one step after the
+// previous value" keeps floating point steps from drifting, and lets month
+// steps from the 31st land on the last day of shorter months.
+
+const addUTCMonths = (date, n) => {
+  const target = new Date(Date.UTC(
+    date.getUTCFullYear(), date.getUTCMonth() + n, 1,
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+  const lastDay = new Date(Date.UTC(
+    target.getUTCFullYear(), target.getUTCMonth() + 1, 0
+  )).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+const Enum = {
+  number: {
+    succ: (x, n) => x + n,
+    compare: (a, b) => a - b,
+    fractional: true
+  },
+  bigint: {
+    succ: (x, n) => x + BigInt(n),
+    compare: (a, b) => a < b ? -1 : a > b ? 1 : 0
+  },
+  char: {
+    succ: (c, n) => String.fromCodePoint(c.codePointAt(0) + n),
+    compare: (a, b) => a.codePointAt(0) - b.codePointAt(0)
+  },
+  // Dates step in UTC, so daylight saving changes don't skip or repeat days.
+  day: {
+    succ: (d, n) => new Date(d.getTime() + n * 86400000),
+    compare: (a, b) => a - b
+  },
+  month: {
+    succ: addUTCMonths,
+    compare: (a, b) => a - b
+  },
+  // A custom enum from an ordered list of values.
+  of: (...values) => ({
+    succ: (x, n) => {
+      const index = values.indexOf(x);
+      return index === -1 ? undefined : values[index + n];
+    },
+    compare: (a, b) => values.indexOf(a) - values.indexOf(b)
+  })
+};
+
+const enumFor = x => {
+  if (typeof x === 'number') return Enum.number;
+  if (typeof x === 'bigint') return Enum.bigint;
+  if (typeof x === 'string' && [...x].length === 1) return Enum.char;
+  if (x instanceof Date) return Enum.day;
+  return undefined;
+};
+
+// Functors like Identity hold their value; unwrap it with valueOf() and
+// re-wrap results with start.constructor, as fRange() does.
+const isContainer = x => x !== null &&
+  typeof x === 'object' &&
+  !(x instanceof Date) &&
+  typeof x.map === 'function' &&
+  typeof x.constructor === 'function' &&
+  x.valueOf() !== x
+;
+const unwrap = x => isContainer(x) ? x.valueOf() : x;
+
+// Fractional steps don't add up exactly: 0 + 3 * 0.1 is 0.30000000000000004,
+// which is past 0.3. So for those, the number of steps to the end is worked
+// out up front, with a little tolerance, and the end is yielded as given.
+const stepsBetween = (from, to, step) => {
+  const steps = Math.abs(to - from) / step;
+  const nearest = Math.round(steps);
+  const exact = Math.abs(steps - nearest) <= 1e-9 * Math.max(1, steps);
+  return { count: exact ? nearest : Math.floor(steps), exact };
+};
+
+// fRange(start, end, options), generalized. The result is a lazy Seq.
+// * end -- optional; without it the range goes on forever
+// * step -- how many succ() steps per item, always positive, and whole
+//   unless the enum is fractional (numbers are); the direction comes from
+//   comparing start and end
+// * bounds -- '[]' includes both ends (the default, like fRange), '[)' leaves
+//   out the end, '(]' the start, '()' both
+// * enum -- how to enumerate; numbers, BigInts, single characters and dates
+//   (by day) are recognized by themselves
+const fRange = (start, end, {
+  step = 1,
+  bounds = '[]',
+  enum: enumeration
+} = {}) => {
+  const from = unwrap(start);
+  const to = end === undefined ? undefined : unwrap(end);
+  const E = enumeration || enumFor(from);
+  if (!E) throw new TypeError(
+    `fRange() doesn't know how to enumerate ${ from }; pass { enum }`
+  );
+  if (!(step > 0)) throw new RangeError(
+    `fRange() step must be positive, got ${ step }`
+  );
+  if (!E.fractional && !Number.isInteger(step)) throw new TypeError(
+    `fRange() step must be a whole number to enumerate ${ from }, ` +
+    `got ${ step }`
+  );
+  if (!['[]', '[)', '(]', '()'].includes(bounds)) throw new TypeError(
+    `fRange() bounds must be one of '[]', '[)', '(]' or '()', got ${ bounds }`
+  );
+  const wrap = isContainer(start) ? x => start.constructor(x) : x => x;
+  const direction = to === undefined || E.compare(from, to) <= 0 ? 1 : -1;
+  const includeEnd = bounds[1] === ']';
+  const last = E.fractional && to !== undefined ?
+    stepsBetween(from, to, step) :
+    undefined;
+
+  return fromGenerator(function* () {
+    for (let i = bounds[0] === '[' ? 0 : 1; ; i++) {
+      if (last && (i > last.count || (i === last.count && last.exact))) {
+        if (i === last.count && includeEnd) yield wrap(to);
+        return;
+      }
+      const x = E.succ(from, direction * i * step);
+      if (x === undefined) return;
+      if (to !== undefined) {
+        const past = E.compare(x, to) * direction;
+        if (past > 0 || (past === 0 && !includeEnd)) return;
+      }
+      yield wrap(x);
+    }
+  });
+};
+
+// Same as before, but lazy:
+[...fRange(Identity(2), 4)].map(x => x.map(trace)); // 2, 3, 4
+fRange(Just(1), 3).toString(); // 'Seq(Just(1), Just(2), Just(3))'
+
+fRange(0, 1, { step: 0.25 }).toArray(); // [0, 0.25, 0.5, 0.75, 1]
+fRange(0, 0.3, { step: 0.1 }).toArray(); // [0, 0.1, 0.2, 0.3]
+fRange(5, 1, { step: 2 }).toArray(); // [5, 3, 1]
+fRange(0, 3, { bounds: '[)' }).toArray(); // [0, 1, 2]
+fRange(1n, 3n).toArray(); // [1n, 2n, 3n]
+fRange(1n, 3n, { step: 0.5 });
+// TypeError: fRange() step must be a whole number to enumerate 1, got 0.5
+fRange('a', 'e').toArray().join(''); // 'abcde'
+fRange('z', 'w').toArray().join(''); // 'zyxw'
+fRange(0).map(double).take(4).toArray(); // [0, 2, 4, 6]
+
+fRange(new Date('2024-02-27'), new Date('2024-03-01'))
+  .map(d => d.toISOString().slice(0, 10))
+  .toArray();
+// ['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']
+
+fRange(new Date('2024-01-31'), new Date('2024-04-30'), { enum: Enum.month })
+  .map(d => d.toISOString().slice(0, 10))
+  .toArray();
+// ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']
+
+const Weekday = Enum.of('Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun');
+fRange('Mon', 'Fri', { enum: Weekday, step: 2 }).toArray();
+// ['Mon', 'Wed', 'Fri']
+fRange('Thu', undefined, { enum: Weekday }).toArray(); // ['Thu', 'Fri', 'Sat', 'Sun']
+
+//
+// Optics
+//
+
+// Immutable updates of nested state get verbose fast:
+const state = { user: { name: 'Ada', address: { city: 'Paris' } } };
+const moved = {
+  ...state,
+  user: {
+    ...state.user,
+    address: { ...state.user.address, city: 'Lyon' }
+  }
+};
+
+// A lens focuses on one part of a structure, and knows how to read it and
+// how to build a new whole with that part replaced. The neat trick (due to
+// van Laarhoven) is to write a lens as a function that works for *any
+// functor*:
+
+//   lens :: (a -> F a) -> (s -> F s)
+
+// It applies the given function to the focus, then maps the result back
+// into the whole. Pick the functor and you pick the operation:
+// * with Identity, mapping back is all that happens: that's over() and set()
+// * with Const, which ignores map(), the focus comes back untouched: view()
+
+// And because lenses are plain functions, they compose with plain compose(),
+// the same one from the reduce notes. compose(a, b) focuses on a, then on b
+// inside it -- it reads like a path.
+const compose = (...fns) => x => fns.reduceRight((v, f) => f(v), x);
+
+// Const holds a value and ignores map(). Its ap() concatenates, which lets
+// traversals collect every focus into an array.
+const Const = value => ({
+  map: () => Const(value),
+  ap: other => Const(value.concat(other.valueOf())),
+  valueOf: () => value,
+  toString: () => `Const(${ value })`,
+  constructor: Const
+});
+
+// Prisms and traversals sometimes have to put a value into the functor
+// without going through the focus function, so that function carries its
+// functor's of() along, and every optic passes it on.
+const optic = build => toF => Object.assign(build(toF), { of: toF.of });
+
+// lens(getter, setter): setter(value, whole) returns a new whole
+const lens = (getter, setter) => optic(toF => s =>
+  toF(getter(s)).map(a => setter(a, s))
+);
+
+const prop = key => lens(
+  s => s == null ? undefined : s[key],
+  (value, s) => Array.isArray(s) ?
+    Object.assign([...s], { [key]: value }) :
+    { ...s, [key]: value }
+);
+
+const index = i => lens(
+  arr => arr == null ? undefined : arr[i],
+  (value, arr = []) => Object.assign([...arr], { [i]: value })
+);
+
+// 'user.address.city' or ['user', 'address', 'city']
+const path = keys => compose(...(
+  typeof keys === 'string' ? keys.split('.') : keys
+).map(prop));
+
+// A prism focuses on a value that may not be there: one branch of a sum
+// type, or a value matching a condition. match(s) returns a Maybe; when it's
+// Nothing, the whole passes through untouched.
+const prism = (match, build) => optic(toF => s => match(s).fold(
+  () => toF.of(s),
+  a => toF(a).map(b => build(b, s))
+));
+
+const when = predicate => prism(
+  x => predicate(x) ? Just(x) : Nothing(),
+  x => x
+);
+const just = prism(m => m, x => Just(x));
+const right = prism(e => Maybe.fromEither(e), x => Right(x));
+const ok = prism(r => Maybe.fromResult(r), x => Ok(x));
+const present = prism(Maybe.fromNullable, x => x);
+
+// A traversal focuses on many values at once. each focuses on every item of
+// an array, rebuilding it with ap(). Compose it with lenses and prisms to
+// reach into every item.
+const each = optic(toF => arr => arr.reduce(
+  (acc, x) => acc.map(xs => y => [...xs, y]).ap(toF(x)),
+  toF.of([])
+));
+
+// filtered(predicate) is just each followed by a prism:
+const filtered = predicate => compose(each, when(predicate));
+
+// Operations, curried so they slot into pipe() and compose():
+
+const over = curry((o, fn, s) =>
+  o(Object.assign(x => Identity(fn(x)), { of: Identity }))(s).valueOf()
+);
+const set = curry((o, value, s) => over(o, () => value, s));
+
+// view() needs exactly one focus, so it only works with lenses.
+const view = curry((o, s) => o(Object.assign(
+  x => Const(x),
+  {
+    of: () => {
+      throw new TypeError(
+        'view() needs a lens; use preview() or toListOf() for prisms and ' +
+        'traversals.'
+      );
+    }
+  }
+))(s).valueOf());
+
+const toListOf = curry((o, s) =>
+  o(Object.assign(x => Const([x]), { of: () => Const([]) }))(s).valueOf()
+);
+const preview = curry((o, s) => Maybe.fromNullable(toListOf(o, s)[0]));
+
+const city = compose(prop('user'), prop('address'), prop('city'));
+view(city, state); // 'Paris'
+set(city, 'Lyon', state); // same as `moved` above, and state is unchanged
+over(city, s => s.toUpperCase(), state).user.address.city; // 'PARIS'
+view(path('user.name'), state); // 'Ada'
+
+const cart = {
+  items: [
+    { name: 'pen', price: 2, qty: 3 },
+    { name: 'book', price: 12, qty: 1 }
+  ]
+};
+const prices = compose(prop('items'), each, prop('price'));
+toListOf(prices, cart); // [2, 12]
+over(prices, double, cart).items.map(i => i.price); // [4, 24]
+
+const cheap = compose(prop('items'), filtered(i => i.price < 5), prop('price'));
+over(cheap, add1, cart).items.map(i => i.price); // [3, 12]
+
+over(just, add1, Just(41)).toString(); // 'Just(42)'
+over(just, add1, Nothing()).toString(); // 'Nothing'
+preview(compose(prop('result'), right), { result: Left('nope') }).toString();
+// 'Nothing'
+set(compose(prop('nickname'), present), 'C', { nickname: null });
+// { nickname: null } -- nothing to focus on, nothing changes
+
+// Optics are ordinary functions, so over() partially applied is a step you
+// can pipe:
+const applyDiscount = over(prices, p => p * 0.9);
+
+// Reducers on a slice of state
+
+// A reducer written for a number, like the Redux-style summingReducer from
+// the reduce notes, can manage a number deep inside a bigger state through a
+// lens. Reading through prop() on undefined gives undefined, so the
+// reducer's own default still provides the initial state (rule 1).
+const ADD_VALUE = 'ADD_VALUE';
+const summingReducer = (state = 0, action = {}) => {
+  const { type, payload } = action;
+  switch (type) {
+    case ADD_VALUE:
+      return state + payload.value;
+    default: return state;
+  }
+};
+
+const focusReducer = (o, reducer) => (state, action) =>
+  set(o, reducer(view(o, state), action), state)
+;
+
+const statsReducer = focusReducer(path('stats.total'), summingReducer);
+[
+  { type: ADD_VALUE, payload: { value: 1 } },
+  { type: ADD_VALUE, payload: { value: 2 } }
+].reduce(statsReducer, { stats: { total: 0, label: 'sum' } });
+// { stats: { total: 3, label: 'sum' } }
+statsReducer(undefined, {}); // { stats: { total: 0 } }
+
+//
+// Tasks: lazy, cancellable effects
+//
+
+// Back at the top, promises were "not quite functors". Two things get in the
+// way:
+// * .then() flattens nested promises, so it can't be a lawful map()
+// * a promise is already running by the time you hold it, so you can't
+//   build a pipeline of effects now and decide later whether to run it, or
+//   run it twice, or stop it halfway
+
+// A Task wraps the *recipe* for an async computation instead of its result:
+
+//   Task((reject, resolve) => cancel)
+
+// Nothing happens until you fork() it. The computation calls resolve or
+// reject once (later calls are ignored), and may return a function that
+// cancels whatever it started: clear a timer, abort a request.
+
+// fork(onRejected, onResolved) starts the task and returns cancel(). After
+// cancel(), neither callback is called. run() starts it at the edge of the
+// program and gives you back a promise, optionally stopped by an AbortSignal.
+
+// Tasks that settle synchronously, like Task.of(x), call back synchronously.
+// That keeps them plain functions all the way down (and lets the law checker
+// compare them, below).
+
+// What chain() and orElse() reject with when fn returns something else.
+const notATask = (method, value) => new TypeError(
+  `Task.${ method }() expects fn to return a Task, got ${ value }`
+);
+
+const Task = computation => {
+  const fork = (onRejected, onResolved) => {
+    let done = false;
+    let cleanup;
+    const settle = fn => x => {
+      if (done) return;
+      done = true;
+      fn(x);
+    };
+    try {
+      cleanup = computation(settle(onRejected), settle(onResolved));
+    } catch (error) {
+      // a callback threw after settling: that's the caller's error, not ours
+      if (done) throw error;
+      settle(onRejected)(error);
+    }
+    return () => {
+      if (done) return;
+      done = true;
+      if (typeof cleanup === 'function') cleanup();
+    };
+  };
+
+  // Cancelling a chain cancels whichever step is currently running.
+  const chain = fn => Task((reject, resolve) => {
+    let cancelNext = () => {};
+    const cancelFirst = fork(reject, x => {
+      let next;
+      try {
+        next = fn(x);
+      } catch (error) {
+        return reject(error);
+      }
+      if (!Task.is(next)) return reject(notATask('chain', next));
+      cancelNext = next.fork(reject, resolve);
+    });
+    return () => {
+      cancelFirst();
+      cancelNext();
+    };
+  });
+
+  // orElse() is chain() for the rejected side: recover with another task.
+  const orElse = fn => Task((reject, resolve) => {
+    let cancelNext = () => {};
+    const cancelFirst = fork(error => {
+      let next;
+      try {
+        next = fn(error);
+      } catch (thrown) {
+        return reject(thrown);
+      }
+      if (!Task.is(next)) return reject(notATask('orElse', next));
+      cancelNext = next.fork(reject, resolve);
+    }, resolve);
+    return () => {
+      cancelFirst();
+      cancelNext();
+    };
+  });
+
+  return {
+    fork,
+    run: ({ signal } = {}) => new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        cancel();
+        reject(signal.reason);
+      };
+      const stopListening = fn => x => {
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(x);
+      };
+      let settled = false;
+      const cancel = fork(stopListening(reject), stopListening(resolve));
+      if (signal && !settled) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }),
+
+    map: fn => chain(x => Task.of(fn(x))),
+    chain,
+    // Runs both tasks at once.
+    ap: other => Task.parallel([Task(computation), other])
+      .map(([fn, x]) => fn(x)),
+    mapRejected: fn => orElse(error => Task.rejected(fn(error))),
+    orElse,
+    // Unlike Maybe and friends, fold() can't hand back a plain value -- it
+    // isn't there yet. It gives a task that always resolves.
+    fold: (onRejected, onResolved) => Task(computation)
+      .map(onResolved)
+      .orElse(error => Task.of(onRejected(error))),
+
+    timeout: ms => Task.race([
+      Task(computation),
+      Task(reject => {
+        const timer = setTimeout(() => reject(Object.assign(
+          new Error(`Timed out after ${ ms }ms`),
+          { name: 'TimeoutError' }
+        )), ms);
+        return () => clearTimeout(timer);
+      })
+    ]),
+
+    // Each attempt forks the computation again, which is only possible
+    // because the task is lazy. Waits delay * factor^n before retry n + 1,
+    // capped at maxDelay; with jitter, a random part of that. when(error,
+    // attempt) can refuse to retry errors that won't go away.
+    retry: ({
+      retries = 3,
+      delay = 100,
+      factor = 2,
+      maxDelay = Infinity,
+      jitter = false,
+      when = () => true
+    } = {}) => {
+      const backoff = n => {
+        const ms = Math.min(delay * factor ** n, maxDelay);
+        return jitter ? Math.random() * ms : ms;
+      };
+      const attempt = n => Task(computation).orElse(error =>
+        n >= retries || !when(error, n + 1) ?
+          Task.rejected(error) :
+          Task.after(backoff(n)).chain(() => attempt(n + 1))
+      );
+      return attempt(0);
+    },
+
+    toString: () => 'Task(…)',
+    constructor: Task
+  };
+};
+
+// Combinators
+
+// All at once; resolves with the results in order. The first rejection
+// wins and cancels the rest.
+const parallel = tasks => Task((reject, resolve) => {
+  const results = new Array(tasks.length);
+  const cancels = [];
+  let remaining = tasks.length;
+  let settled = false;
+  const cancelAll = () => cancels.forEach(cancel => cancel());
+  if (remaining === 0) return resolve(results);
+  tasks.forEach((task, i) => {
+    if (settled) return;
+    cancels.push(task.fork(error => {
+      settled = true;
+      cancelAll();
+      reject(error);
+    }, value => {
+      results[i] = value;
+      remaining -= 1;
+      if (remaining === 0) resolve(results);
+    }));
+  });
+  return cancelAll;
+});
+
+// All at once; the first to settle either way wins, the rest are cancelled.
+const race = tasks => Task((reject, resolve) => {
+  const cancels = [];
+  let settled = false;
+  const cancelAll = () => cancels.forEach(cancel => cancel());
+  const first = fn => x => {
+    settled = true;
+    cancelAll();
+    fn(x);
+  };
+  tasks.forEach(task => {
+    if (!settled) cancels.push(task.fork(first(reject), first(resolve)));
+  });
+  return cancelAll;
+});
+
+// One after another; resolves with the results in order.
+const sequence = tasks => tasks.reduce(
+  (acc, task) => acc.chain(results => task.map(x => [...results, x])),
+  Task.of([])
+);
+
+Object.assign(Task, {
+  toString: () => 'Task',
+  is: x => x != null && x.constructor === Task,
+  of: value => Task((reject, resolve) => resolve(value)),
+  rejected: error => Task(reject => reject(error)),
+  after: (ms, value) => Task((reject, resolve) => {
+    const timer = setTimeout(resolve, ms, value);
+    return () => clearTimeout(timer);
+  }),
+  parallel,
+  race,
+  sequence,
+  fromResult: r => r.fold(Task.rejected, Task.of),
+  fromEither: e => e.fold(Task.rejected, Task.of),
+  // Takes a function that makes the promise, not a promise: a promise would
+  // already be running. It gets an AbortSignal that fires on cancel.
+  fromPromise: makePromise => Task((reject, resolve) => {
+    const controller = new AbortController();
+    Promise.resolve(makePromise(controller.signal)).then(resolve, reject);
+    return () => controller.abort();
+  }),
+  toPromise: (task, options) => task.run(options)
+});
+
+// Nothing runs until we say so:
+const sayHello = Task((reject, resolve) => {
+  trace('side effect!');
+  resolve('hello');
+});
+const shout = sayHello.map(s => s.toUpperCase()); // nothing logged yet
+shout.fork(trace, trace); // logs 'side effect!', then 'HELLO'
+shout.fork(trace, trace); // and again: each fork runs it afresh
+
+// Errors thrown along the way reject, like they would in .then():
+Task.of('{').map(JSON.parse).fold(e => e.name, x => x).fork(trace, trace);
+// 'SyntaxError'
+
+// ...and so does a chain() whose fn forgets to return a task, even when it
+// runs later, from a timer:
+Task.after(5, 1).chain(x => x + 1).fork(e => trace(e.message), trace);
+// 'Task.chain() expects fn to return a Task, got 2'
+
+// Same ap() convention as Maybe:
+Task.of(add).ap(Task.of(2)).ap(Task.of(3)).fork(trace, trace); // 5
+
+// Cancelling:
+const cancel = Task.after(1000, 'too late').fork(trace, trace);
+cancel(); // the timer is cleared and nothing is logged
+
+const controller = new AbortController();
+Task.after(1000, 'too late').run({ signal: controller.signal })
+  .catch(error => trace(error.name)); // 'AbortError'
+controller.abort();
+
+// Combinators:
+Task.parallel([Task.after(30, 'a'), Task.after(10, 'b')])
+  .run().then(trace); // ['a', 'b'] after 30ms
+Task.race([Task.after(30, 'a'), Task.after(10, 'b')])
+  .run().then(trace); // 'b' after 10ms, and the 30ms timer is cleared
+Task.sequence([Task.after(30, 'a'), Task.after(10, 'b')])
+  .run().then(trace); // ['a', 'b'] after 40ms
+
+// Timeouts cancel the slow task, too:
+Task.after(500, 'slow').timeout(100)
+  .run().catch(error => trace(error.message)); // 'Timed out after 100ms'
+
+// Retrying a task that fails twice before it works:
+let calls = 0;
+const flaky = Task((reject, resolve) => {
+  calls += 1;
+  if (calls < 3) return reject(new Error(`attempt ${ calls } failed`));
+  resolve(`worked on attempt ${ calls }`);
+});
+flaky.retry({ retries: 5, delay: 10 }).run().then(trace);
+// 'worked on attempt 3', after waiting 10ms and 20ms
+
+// Tasks are lawful, too. Since Task.of() and Task.rejected() settle
+// synchronously, a task made of them can be compared on the spot:
+const outcome = task => {
+  let result = 'pending';
+  task.fork(
+    error => { result = `rejected ${ error }`; },
+    value => { result = `resolved ${ value }`; }
+  );
+  return result;
+};
+const sameOutcome = (a, b) => outcome(a) === outcome(b);
+const taskGen = gens.oneOf(
+  gens.int.map(Task.of),
+  gens.int.map(Task.rejected)
+);
+checkFunctorLaws(Task, { gen: taskGen, equals: sameOutcome }).ok; // true
+checkApplicativeLaws(Task, { gen: taskGen, equals: sameOutcome }).ok; // true
+checkMonadLaws(Task, {
+  gen: taskGen,
+  fnGen: gens.fn(taskGen),
+  equals: sameOutcome
+}).ok; // true
+
+// Effectful pipelines
+
+// Since a task is just a value, the functions that make and transform them
+// compose with pipe() like any others, and nothing happens until the end.
+const pipe = (...fns) => x => fns.reduce((v, f) => f(v), x);
+const chain = curry((fn, M) => M.chain(fn));
+
+// A stand-in for reading a real file, which would be
+//   Task.fromPromise(signal =>
+//     require('fs').promises.readFile(file, { encoding: 'utf8', signal })
+//   )
+const files = { 'config.json': '{"port": 8080}' };
+const readText = file => Task.fromPromise(() => file in files ?
+  Promise.resolve(files[file]) :
+  Promise.reject(new Error(`ENOENT: no such file, open '${ file }'`))
+);
+const loadPort = pipe(
+  readText,
+  map(parseJSON), // a Result
+  chain(Task.fromResult),
+  chain(config => Task.fromResult(getPort(config))),
+  task => task.timeout(1000).retry({ retries: 2 })
+);
+
+const startup = loadPort('config.json'); // still nothing has happened
+// ...and at the edge of the program:
+startup.run().then(
+  port => trace(`listening on ${ port }`),
+  error => trace(`could not start: ${ error.message }`)
+); // listening on 8080
+
+loadPort('missing.json').run().catch(error => trace(error.message));
+// ENOENT: no such file, open 'missing.json' (after two retries)
+
+//
+// Validation: every error, not just the first
+//
+
+// ifExists() gives up quietly, and Maybe and Result give up at the first
+// problem. That's right when each step needs the previous one's result. But
+// the fields of a form or a config file are independent, and whoever filled
+// it in wants to hear about all the mistakes at once, not one per attempt.
+
+// Validation is Success(value) or Failure(errors), where errors is an
+// array. The difference from Result is in ap(): when both sides failed, the
+// result keeps both sides' errors.
+
+// There's deliberately no chain(). It would have to stop at the first
+// Failure (the next step needs a value that isn't there), and then ap()
+// would disagree with it, which the monad laws don't allow. When steps
+// depend on each other, use Result, and convert with toResult() and
+// Validation.fromResult().
+
+const Success = value => ({
+  map: fn => Success(fn(value)),
+  mapFailure: () => Success(value),
+  ap: other => other.map(value),
+  fold: (onFailure, onSuccess) => onSuccess(value),
+  cata: ({ Success }) => Success(value),
+  getOrElse: () => value,
+  toResult: () => Ok(value),
+  isSuccess: true,
+  isFailure: false,
+  valueOf: () => value,
+  toString: () => `Success(${ value })`,
+  [Symbol.iterator]: iterateOnce(value),
+  constructor: Validation
+});
+
+// Takes one error or an array of them. mapFailure(fn) maps each error.
+const Failure = errors => {
+  const list = Array.isArray(errors) ? errors : [errors];
+  return {
+    map: () => Failure(list),
+    mapFailure: fn => Failure(list.map(fn)),
+    ap: other => other.isFailure ?
+      Failure([...list, ...other.valueOf()]) :
+      Failure(list),
+    fold: (onFailure) => onFailure(list),
+    cata: ({ Failure }) => Failure(list),
+    getOrElse: fallback => fallback,
+    toResult: () => Err(list),
+    isSuccess: false,
+    isFailure: true,
+    valueOf: () => list,
+    toString: () => `Failure(${ list.join(', ') })`,
+    [Symbol.iterator]: iterateNone,
+    constructor: Validation
+  };
+};
+
+const Validation = value => Success(value);
+
+Object.assign(Validation, {
+  toString: () => 'Validation',
+  is: x => !isNullish(x) && x.constructor === Validation,
+  of: Success,
+  Success,
+  Failure,
+  // fromPredicate(predicate, error)(value); error may be a function of the
+  // value
+  fromPredicate: (predicate, error) => value => predicate(value) ?
+    Success(value) :
+    Failure(typeof error === 'function' ? error(value) : error),
+  fromResult: r => r.fold(Failure, Success),
+  fromEither: e => e.fold(Failure, Success),
+  fromMaybe: (m, error) => m.fold(() => Failure(error), Success)
+});
+
+// Lifting
+
+// liftA2(fn, a, b) applies a plain two-argument function to the values
+// inside two applicatives -- the same as A.of(a => b => fn(a, b)).ap(a).ap(b)
+// without the currying. It works for any of our applicatives: Validation,
+// Maybe, Either, Result, Identity, Task.
+const liftAN = (fn, ...applicatives) => {
+  if (applicatives.length === 0) {
+    throw new TypeError('liftAN() needs at least one applicative');
+  }
+  return applicatives.reduce(
+    (acc, a) => acc.map(xs => x => [...xs, x]).ap(a),
+    applicatives[0].constructor.of([])
+  ).map(xs => fn(...xs));
+};
+const liftA2 = (fn, a, b) => liftAN(fn, a, b);
+const liftA3 = (fn, a, b, c) => liftAN(fn, a, b, c);
+
+// Traversing
+
+// traverse(A, fn, collection) calls fn on every item of an array (with its
+// index) or every value of a plain object (with its key). fn returns an A;
+// you get back one A holding the array or object of results. For
+// Validation, that's a Success of everything, or a Failure with every
+// error from every item. sequence() is traverse() without the fn.
+const traverse = (A, fn, collection) => Array.isArray(collection) ?
+  collection.reduce(
+    (acc, item, i) => acc.map(xs => x => [...xs, x]).ap(fn(item, i)),
+    A.of([])
+  ) :
+  Object.entries(collection).reduce(
+    (acc, [key, value]) => acc
+      .map(o => x => ({ ...o, [key]: x }))
+      .ap(fn(value, key)),
+    A.of({})
+  )
+;
+const sequence = (A, collection) => traverse(A, x => x, collection);
+
+// A form:
+const required = field => Validation.fromPredicate(
+  v => v !== undefined && v !== '',
+  `${ field } is required`
+);
+const isEmail = Validation.fromPredicate(
+  v => /^[^@\s]+@[^@\s]+$/.test(v),
+  v => `${ JSON.stringify(v) } is not an email address`
+);
+const minLength = (field, n) => Validation.fromPredicate(
+  v => String(v).length >= n,
+  `${ field } needs at least ${ n } characters`
+);
+const hasDigit = field => Validation.fromPredicate(
+  v => /\d/.test(v),
+  `${ field } needs a digit`
+);
+
+const makeUser = (name, email) => ({ name, email });
+liftA2(makeUser, required('name')('Ada'), isEmail('ada@example.com'))
+  .getOrElse(null); // { name: 'Ada', email: 'ada@example.com' }
+liftA2(makeUser, required('name')(''), isEmail('ada')).toString();
+// 'Failure(name is required, "ada" is not an email address)'
+
+// Compare Result, which only ever tells you about the first one:
+liftA2(
+  makeUser,
+  required('name')('').toResult(),
+  isEmail('ada').toResult()
+).toString(); // 'Err(name is required)'
+
+// Several checks on one value: sequence them, and keep the value.
+const password = v => sequence(Validation, [
+  minLength('password', 8)(v),
+  hasDigit('password')(v)
+]).map(() => v);
+
+// One check per field, traversed over an object of rules:
+const signupRules = {
+  name: required('name'),
+  email: isEmail,
+  password
+};
+const validateSignup = form => traverse(
+  Validation,
+  (check, key) => check(form[key]),
+  signupRules
+);
+
+validateSignup({ name: 'Ada', email: 'ada@example.com', password: 'hunter22' })
+  .getOrElse(null);
+// { name: 'Ada', email: 'ada@example.com', password: 'hunter22' }
+validateSignup({ name: '', email: 'ada', password: 'short' })
+  .fold(errors => errors, () => []);
+// [ 'name is required',
+//   '"ada" is not an email address',
+//   'password needs at least 8 characters',
+//   'password needs a digit' ]
+
+// Over arrays, the index says which item was wrong:
+const parseNumber = (s, i) => Number.isNaN(Number(s)) ?
+  Failure(`item ${ i }: ${ JSON.stringify(s) } is not a number`) :
+  Success(Number(s));
+traverse(Validation, parseNumber, ['1', 'x', '3', 'y']).toString();
+// 'Failure(item 1: "x" is not a number, item 3: "y" is not a number)'
+traverse(Validation, parseNumber, ['1', '2']).getOrElse(null); // [1, 2]
+
+// The same traverse() and lifting work with the other applicatives:
+traverse(Maybe, Maybe.fromNullable, [1, 2, null]).toString(); // 'Nothing'
+sequence(Maybe, { a: Just(1), b: Just(2) }).getOrElse(null); // { a: 1, b: 2 }
+liftA3((a, b, c) => a + b + c, Just(1), Just(2), Just(3)).toString();
+// 'Just(6)'
+
+// And it's a lawful applicative (and functor):
+const validationGen = gens.oneOf(
+  gens.int.map(Success),
+  gens.int.map(Failure)
+);
+checkFunctorLaws(Validation, { gen: validationGen }).ok; // true
+checkApplicativeLaws(Validation, { gen: validationGen }).ok; // true
@@ -223,3 +223,1125 @@ const b = {
 };
 console.log({...a, ...b}); // { b: 'b' }
 
+
+//
+// Mixing with property descriptors
+//
+
+// Object.assign() and {...spread} read each property's *value*, so getters
+// are called once and frozen into plain data, setters are dropped, and
+// non-enumerable properties are skipped entirely. Symbols survive, but only
+// if they're enumerable.
+
+const withCreatedAt = {
+  get age () {
+    return Date.now() - this.createdAt;
+  }
+};
+const copied = Object.assign({}, { createdAt: Date.now() }, withCreatedAt);
+// copied.age is NaN, forever: the getter ran once, during the copy, against
+// withCreatedAt itself (which has no createdAt), and the result was stored as
+// plain data.
+
+// Object.getOwnPropertyDescriptors() returns each property's descriptor
+// instead (value or get/set, plus writable/enumerable/configurable), string
+// and symbol keys alike. Defining those on a new object copies properties
+// exactly.
+
+// extend() is the descriptor-preserving replacement for
+// Object.assign({}, o, props). It keeps o's prototype.
+const extend = (o, ...sources) => Object.defineProperties(
+  Object.create(Object.getPrototypeOf(o)),
+  Object.assign(
+    {},
+    Object.getOwnPropertyDescriptors(o),
+    ...sources.map(source => Object.getOwnPropertyDescriptors(source))
+  )
+);
+
+// Functional mixins written with extend() pass accessors through untouched:
+const withLogging = logger => o => extend(o, {
+  log (text) {
+    logger(text);
+  }
+});
+
+// mix() composes mixins left to right, like pipe(). A mixin can be:
+// * a plain object, whose properties are copied with their descriptors
+// * a functional mixin, o => enhanced o, whose result is used as-is
+//
+// mixWith() takes options:
+// * keepPrototype -- the result inherits from the input object's prototype
+//   (by default it's a plain object, like Object.assign({}, ...))
+// * freeze -- Object.freeze() the result
+const mixWith = ({
+  keepPrototype = false,
+  freeze = false
+} = {}) => (...mixins) => (o = {}) => {
+  const start = Object.defineProperties(
+    keepPrototype ? Object.create(Object.getPrototypeOf(o)) : {},
+    Object.getOwnPropertyDescriptors(o)
+  );
+  const result = mixins.reduce(
+    (acc, mixin) => typeof mixin === 'function' ? mixin(acc) : extend(acc, mixin),
+    start
+  );
+  return freeze ? Object.freeze(result) : result;
+};
+
+const mix = mixWith();
+
+// The closing example from above, fixed:
+console.log(mix(a, b)().a); // 'a'
+Object.keys(mix(a, b)()); // ['b'] -- and a is still non-enumerable
+
+// Getters stay getters:
+const session = mix(
+  { createdAt: Date.now() },
+  withCreatedAt,
+  withLogging(console.log.bind(console))
+)();
+Object.getOwnPropertyDescriptor(session, 'age').get; // [Function: get age]
+
+// Symbols and setters too:
+const withCounter = () => {
+  let count = 0;
+  return {
+    get count () {
+      return count;
+    },
+    set count (n) {
+      if (!Number.isInteger(n)) throw new TypeError('count must be an integer');
+      count = n;
+    },
+    *[Symbol.iterator] () {
+      for (let i = 0; i < count; i++) yield i;
+    }
+  };
+};
+const counter = mix(withCounter())();
+counter.count = 3;
+[...counter]; // [0, 1, 2]
+
+// Keep a prototype when the input has one you care about:
+class Service {
+  describe () {
+    return `Service(${ this.name })`;
+  }
+}
+const service = mixWith({ keepPrototype: true, freeze: true })(
+  { name: 'users' },
+  withLogging(console.log.bind(console))
+)(new Service());
+service.describe(); // 'Service(users)'
+service instanceof Service; // true
+Object.isFrozen(service); // true
+
+//
+// Property collisions
+//
+
+// "No diamond problem -- last in wins" is true, but last-in-wins is also
+// silent. Mix in two mixins that both define log() or get(), and one of them
+// quietly disappears:
+const withAudit = o => extend(o, {
+  log (text) {
+    console.log(`[audit] ${ text }`);
+  }
+});
+mix(withLogging(console.log.bind(console)), withAudit)().log('hi');
+// '[audit] hi' -- the first log() is gone
+
+// So let's detect collisions and decide what to do about each one. A policy
+// can be set for all keys and overridden per key:
+// * 'last' -- last in wins (the default, same as before)
+// * 'first' -- first in wins
+// * 'warn' -- last in wins, and say so through `logger`
+// * 'throw' -- refuse to compose. A functional mixin's additions can only
+//   be seen by running it, so the throw comes after the mixin ran: on a
+//   copy (the object you passed in is never touched), but any side effects
+//   of its own have already happened
+// * 'combine' -- methods are chained (both run, the result of the last one is
+//   returned); plain objects are merged
+// * a function (previousValue, nextValue, key) => value for anything else.
+//   It only sees data properties: like 'combine', it refuses getters and
+//   setters rather than turn them into a value.
+
+// To say who did what, mixins need names. Functional mixins created by
+// factories are usually anonymous arrow functions, so you can name one
+// explicitly; otherwise its function name or its position is used. An
+// object mixin's `name` is data, not a label, so only position is used.
+// Names live in a WeakMap so they never end up on the composed object.
+const mixinNames = new WeakMap();
+const nameMixin = (name, mixin) => {
+  mixinNames.set(mixin, name);
+  return mixin;
+};
+const mixinName = (mixin, index) =>
+  mixinNames.get(mixin) ||
+  (typeof mixin === 'function' && mixin.name) ||
+  `mixin #${ index }`
+;
+
+const isPlainObject = x => x !== null &&
+  typeof x === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(x))
+;
+
+const isAccessor = descriptor => Boolean(descriptor.get || descriptor.set);
+
+const sameDescriptor = (a, b) =>
+  a.value === b.value && a.get === b.get && a.set === b.set
+;
+
+const combineValues = (key, previous, next) => {
+  if (typeof previous === 'function' && typeof next === 'function') {
+    return function (...args) {
+      previous.apply(this, args);
+      return next.apply(this, args);
+    };
+  }
+  if (isPlainObject(previous) && isPlainObject(next)) {
+    return { ...previous, ...next };
+  }
+  throw new TypeError(
+    `Can't combine "${ String(key) }": only two methods or two plain ` +
+    'objects can be combined.'
+  );
+};
+
+const collisionMessage = (key, from, by) =>
+  `Mixin "${ by }" overrides "${ String(key) }" from ${
+    from.map(name => `"${ name }"`).join(', ')
+  }.`
+;
+
+// Returns the descriptor that should end up on the object.
+const resolveCollision = (policy, { key, previous, next, from, by, logger }) => {
+  if (typeof policy === 'function') {
+    if (isAccessor(previous) || isAccessor(next)) throw new TypeError(
+      `Can't resolve "${ String(key) }" with a function policy: it only ` +
+      'handles data properties, not accessors.'
+    );
+    return { ...next, value: policy(previous.value, next.value, key) };
+  }
+  switch (policy) {
+    case 'last': return next;
+    case 'first': return previous;
+    case 'warn':
+      logger(collisionMessage(key, from, by));
+      return next;
+    case 'throw':
+      throw new Error(`Property collision: ${ collisionMessage(key, from, by) }`);
+    case 'combine':
+      if (isAccessor(previous) || isAccessor(next)) {
+        throw new TypeError(
+          `Can't combine "${ String(key) }": accessors can't be combined.`
+        );
+      }
+      return { ...next, value: combineValues(key, previous.value, next.value) };
+    default:
+      throw new TypeError(`Unknown collision policy: ${ policy }`);
+  }
+};
+
+// Which mixins contributed each property, and how collisions were resolved.
+const mixinReports = new WeakMap();
+const mixinReport = o => mixinReports.get(o);
+
+// mixWith(), now with collision handling:
+// * onCollision -- the policy for every key
+// * policies -- { [key]: policy } overrides, symbol keys welcome
+// * logger -- where 'warn' goes
+const mixWith = ({
+  keepPrototype = false,
+  freeze = false,
+  onCollision = 'last',
+  policies = {},
+  logger = console.warn.bind(console)
+} = {}) => (...mixins) => (o = {}) => {
+  const report = new Map(
+    Reflect.ownKeys(o).map(key => [key, { from: ['(input)'], policy: null }])
+  );
+
+  const step = (acc, mixin, index) => {
+    const by = mixinName(mixin, index);
+    const out = typeof mixin === 'function' ? mixin(acc) : extend(acc, mixin);
+    const before = Object.getOwnPropertyDescriptors(acc);
+    const after = Object.getOwnPropertyDescriptors(out);
+    const resolved = {};
+
+    Reflect.ownKeys(after).forEach(key => {
+      const previous = before[key];
+      const next = after[key];
+      if (previous && sameDescriptor(previous, next)) return;
+      if (!previous) {
+        report.set(key, { from: [by], policy: null });
+        return;
+      }
+      const entry = report.get(key) || { from: ['(unknown)'], policy: null };
+      const policy = Object.prototype.hasOwnProperty.call(policies, key) ?
+        policies[key] :
+        onCollision
+      ;
+      resolved[key] = resolveCollision(policy, {
+        key, previous, next, from: entry.from, by, logger
+      });
+      report.set(key, {
+        from: policy === 'first' ? entry.from : [...entry.from, by],
+        policy: typeof policy === 'function' ? 'custom' : policy
+      });
+    });
+
+    return Reflect.ownKeys(resolved).length === 0 ?
+      out :
+      Object.defineProperties(
+        Object.create(Object.getPrototypeOf(out)),
+        { ...after, ...resolved }
+      )
+    ;
+  };
+
+  const start = Object.defineProperties(
+    keepPrototype ? Object.create(Object.getPrototypeOf(o)) : {},
+    Object.getOwnPropertyDescriptors(o)
+  );
+  const result = mixins.reduce(step, start);
+  mixinReports.set(result, report);
+  return freeze ? Object.freeze(result) : result;
+};
+
+const mix = mixWith();
+
+// Note that collisions are found by comparing the object before and after
+// each mixin. A functional mixin built with Object.assign() turns every
+// accessor it copies into plain data, which counts as a change -- one more
+// reason to build them with extend().
+
+const logging = nameMixin('logging', withLogging(console.log.bind(console)));
+const audit = nameMixin('audit', withAudit);
+
+mixWith({ policies: { log: 'combine' } })(logging, audit)().log('hi');
+// 'hi'
+// '[audit] hi'
+
+mixWith({ onCollision: 'warn' })(logging, audit)();
+// Mixin "audit" overrides "log" from "logging".
+
+mixWith({ onCollision: 'throw' })(logging, audit)();
+// Error: Property collision: Mixin "audit" overrides "log" from "logging".
+
+mixWith({ onCollision: 'first' })(logging, audit)().log('hi'); // 'hi'
+
+// Plain objects merge:
+const defaults = { options: { retries: 3, verbose: false } };
+const overrides = nameMixin('overrides', { options: { verbose: true } });
+mixWith({ policies: { options: 'combine' } })(defaults, overrides)().options;
+// { retries: 3, verbose: true }
+
+// Who contributed what:
+const composed = mixWith({ policies: { log: 'combine' } })(
+  logging,
+  audit,
+  nameMixin('flying', flying)
+)();
+mixinReport(composed);
+// Map(4) {
+//   'log' => { from: ['logging', 'audit'], policy: 'combine' },
+//   'fly' => { from: ['flying'], policy: null },
+//   'isFlying' => { from: ['flying'], policy: null },
+//   'land' => { from: ['flying'], policy: null }
+// }
+
+//
+// Explicit dependencies
+//
+
+// addConfig() calls this.log(), which only exists if withLogging() was mixed
+// in first. withConfig() hides that by composing the two itself, but nothing
+// checks it: forget withLogging, or put it after addConfig, and you find out
+// with "this.log is not a function" -- at call time, on a missing key.
+
+// Instead, a mixin can declare what it needs and what it offers, as
+// capability names:
+// * requires -- capabilities that must be mixed in before this one
+// * provides -- capabilities this one adds
+// (Plain object mixins that don't declare anything provide their own keys.)
+
+// composeMixins() then:
+// * pulls in any missing providers from a registry of known mixins
+// * orders the mixins so every provider comes before the mixins that need
+//   it (keeping the given order where it doesn't matter)
+// * fails before anything is built, naming the missing capability or the
+//   dependency cycle
+
+const mixinDeps = new WeakMap();
+
+const declareMixin = ({ name, requires = [], provides = [] }, mixin) => {
+  if (name) nameMixin(name, mixin);
+  mixinDeps.set(mixin, { requires, provides });
+  return mixin;
+};
+
+const depsOf = mixin => mixinDeps.get(mixin) || {
+  requires: [],
+  provides: typeof mixin === 'function' ? [] : Reflect.ownKeys(mixin)
+};
+
+const provides = capability => mixin =>
+  depsOf(mixin).provides.includes(capability)
+;
+
+const pullInProviders = (mixins, registry, nameOf) => {
+  const selected = [...mixins];
+  // selected grows while we walk it, so pulled-in mixins get resolved too
+  for (let i = 0; i < selected.length; i++) {
+    depsOf(selected[i]).requires.forEach(capability => {
+      if (selected.some(provides(capability))) return;
+      const provider = registry.find(provides(capability));
+      if (!provider) throw new Error(
+        `Mixin "${ nameOf(selected[i]) }" requires "${ String(capability) }", ` +
+        'but no mixin provides it. Add a mixin that declares ' +
+        `provides: ['${ String(capability) }'], or put one in the registry.`
+      );
+      selected.push(provider);
+    });
+  }
+  return selected;
+};
+
+// Depth-first topological sort. Seeing a mixin again while we're still
+// visiting its dependencies means there's a cycle, and `path` holds it.
+const orderMixins = (mixins, nameOf) => {
+  const visiting = new Set();
+  const done = new Set();
+  const ordered = [];
+
+  const visit = (mixin, path) => {
+    if (done.has(mixin)) return;
+    if (visiting.has(mixin)) {
+      const cycle = [...path.slice(path.indexOf(mixin)), mixin];
+      throw new Error(
+        `Mixin dependency cycle: ${ cycle.map(nameOf).join(' -> ') } ` +
+        '(each mixin requires a capability provided by the next).'
+      );
+    }
+    visiting.add(mixin);
+    depsOf(mixin).requires.forEach(capability => mixins
+      .filter(provides(capability))
+      .filter(provider => provider !== mixin)
+      .forEach(provider => visit(provider, [...path, mixin]))
+    );
+    visiting.delete(mixin);
+    done.add(mixin);
+    ordered.push(mixin);
+  };
+
+  mixins.forEach(mixin => visit(mixin, []));
+  return ordered;
+};
+
+// Takes the same options as mixWith(), plus the registry.
+const composeMixinsWith = ({
+  registry = [],
+  ...options
+} = {}) => (...mixins) => {
+  const all = [...mixins, ...registry];
+  const nameOf = mixin => mixinName(mixin, all.indexOf(mixin));
+  const ordered = orderMixins(pullInProviders(mixins, registry, nameOf), nameOf);
+  return mixWith(options)(...ordered);
+};
+
+const composeMixins = composeMixinsWith();
+
+const loggingMixin = declareMixin(
+  { name: 'logging', provides: ['log'] },
+  withLogging(console.log.bind(console))
+);
+const configMixin = declareMixin(
+  { name: 'config', requires: ['log'], provides: ['get'] },
+  addConfig({ host: 'localhost' })
+);
+
+// Order doesn't matter any more:
+const appConfig = composeMixins(configMixin, loggingMixin)();
+appConfig.get('notThere'); // 'Missing config key: notThere'
+
+// Nor does remembering the dependency, given a registry:
+const withRegistry = composeMixinsWith({ registry: [loggingMixin] });
+withRegistry(configMixin)().get('host'); // 'localhost'
+
+// Missing capabilities fail fast:
+composeMixins(configMixin);
+// Error: Mixin "config" requires "log", but no mixin provides it. Add a mixin
+// that declares provides: ['log'], or put one in the registry.
+
+// And so do cycles:
+const chicken = declareMixin(
+  { name: 'chicken', requires: ['egg'], provides: ['chicken'] },
+  o => extend(o, { chicken: true })
+);
+const egg = declareMixin(
+  { name: 'egg', requires: ['chicken'], provides: ['egg'] },
+  o => extend(o, { egg: true })
+);
+composeMixins(chicken, egg);
+// Error: Mixin dependency cycle: chicken -> egg -> chicken (each mixin
+// requires a capability provided by the next).
+
+//
+// A real configuration mixin
+//
+
+// createConfig() above only knows a flat initialConfig object. Real apps
+// want:
+// * dotted paths: get('server.port')
+// * a schema: types, defaults and required keys, declared once
+// * layered sources, lowest precedence first:
+//     1. schema defaults
+//     2. JSON files, in the order given (missing files are skipped)
+//     3. environment variables: envPrefix + the path in upper case with
+//        dots as underscores (APP_SERVER_PORT), or the key's own `env`
+//     4. command line arguments: --server.port=8080, --server.port 8080,
+//        --debug, --no-debug
+//     5. set() at runtime
+// * set() that validates against the schema, and onChange(key, fn)
+//   subscriptions
+// * get() that returns undefined for an optional key nobody set, but treats
+//   a missing required key, or one the schema doesn't declare, as a problem
+// Problems (missing or invalid keys, unreadable files, unknown flags) go
+// through this.log() from withLogging(), or throw in strict mode. Whatever
+// is wrong at load time is reported together, in one go, so fixing a config
+// file doesn't take one restart per mistake.
+
+const fs = require('fs');
+
+const getPath = (o, path) => path
+  .split('.')
+  .reduce((value, key) => value == null ? undefined : value[key], o)
+;
+
+// Immutable: returns a new object, copying only along the path.
+const setPath = (o, [key, ...rest], value) => ({
+  ...o,
+  [key]: rest.length === 0 ?
+    value :
+    setPath(isPlainObject(o[key]) ? o[key] : {}, rest, value)
+});
+
+const deepMerge = (target, source) => Object.keys(source).reduce(
+  (acc, key) => ({
+    ...acc,
+    [key]: isPlainObject(acc[key]) && isPlainObject(source[key]) ?
+      deepMerge(acc[key], source[key]) :
+      source[key]
+  }),
+  target
+);
+
+const parseJSONOr = (text, fallback) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// How to check each type, and how to read it from a string (env and argv
+// values are always strings). A string that won't parse is passed through
+// as-is, so validation reports it.
+const configTypes = {
+  string: { check: v => typeof v === 'string', parse: s => s },
+  number: {
+    check: v => typeof v === 'number' && !Number.isNaN(v),
+    parse: s => s.trim() === '' || Number.isNaN(Number(s)) ? s : Number(s)
+  },
+  integer: {
+    check: Number.isInteger,
+    parse: s => s.trim() === '' || Number.isNaN(Number(s)) ? s : Number(s)
+  },
+  boolean: {
+    check: v => typeof v === 'boolean',
+    parse: s => ({ true: true, false: false, 1: true, 0: false })[s] ?? s
+  },
+  array: { check: Array.isArray, parse: s => parseJSONOr(s, s) },
+  object: { check: isPlainObject, parse: s => parseJSONOr(s, s) }
+};
+
+const coerce = (spec = {}, raw) => {
+  const type = configTypes[spec.type];
+  return type && typeof raw === 'string' ? type.parse(raw) : raw;
+};
+
+// Returns an error message, or undefined if the value is fine.
+const validateConfigValue = (key, spec = {}, value) => {
+  if (value === undefined) {
+    return spec.required ? `Missing required config key: ${ key }` : undefined;
+  }
+  const type = configTypes[spec.type];
+  if (spec.type && !type) return `Unknown type "${ spec.type }" for ${ key }`;
+  if (type && !type.check(value)) {
+    return `Invalid config key ${ key }: expected ${ spec.type }, got ${
+      JSON.stringify(value)
+    }`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `Invalid config key ${ key }: expected one of ${
+      spec.enum.map(v => JSON.stringify(v)).join(', ')
+    }, got ${ JSON.stringify(value) }`;
+  }
+  if (spec.validate) {
+    const result = spec.validate(value);
+    if (result !== true && result !== undefined) {
+      return typeof result === 'string' ?
+        `Invalid config key ${ key }: ${ result }` :
+        `Invalid config key ${ key }: ${ JSON.stringify(value) }`
+      ;
+    }
+  }
+  return undefined;
+};
+
+// Validation and traverse() from the functors notes, trimmed down to what
+// config checking needs: Success(value) or Failure(errors), where ap() keeps
+// the errors from both sides instead of stopping at the first.
+const Success = value => ({
+  map: fn => Success(fn(value)),
+  ap: other => other.map(value),
+  fold: (onFailure, onSuccess) => onSuccess(value),
+  isFailure: false,
+  valueOf: () => value
+});
+
+const Failure = errors => ({
+  map: () => Failure(errors),
+  ap: other => Failure(
+    other.isFailure ? [...errors, ...other.valueOf()] : errors
+  ),
+  fold: onFailure => onFailure(errors),
+  isFailure: true,
+  valueOf: () => errors
+});
+
+const traverseObject = (fn, o) => Object.entries(o).reduce(
+  (acc, [key, value]) => acc
+    .map(result => x => ({ ...result, [key]: x }))
+    .ap(fn(value, key)),
+  Success({})
+);
+
+// Success(values), or a Failure listing every bad key.
+const checkConfig = (schema, values) => traverseObject(
+  (spec, key) => {
+    const value = getPath(values, key);
+    const error = validateConfigValue(key, spec, value);
+    return error ? Failure([error]) : Success(value);
+  },
+  schema
+).map(() => values);
+
+// Layers. Each returns a (nested) object to merge over the previous ones.
+
+const fromDefaults = schema => Object.entries(schema).reduce(
+  (acc, [key, spec]) => spec.default === undefined ?
+    acc :
+    setPath(acc, key.split('.'), spec.default),
+  {}
+);
+
+const fromFiles = (files, report) => files.reduce((acc, path) => {
+  if (!fs.existsSync(path)) return acc;
+  try {
+    return deepMerge(acc, JSON.parse(fs.readFileSync(path, 'utf8')));
+  } catch (error) {
+    report(`Can't read config file ${ path }: ${ error.message }`);
+    return acc;
+  }
+}, {});
+
+const envName = (prefix, key, spec = {}) =>
+  spec.env || `${ prefix }${ key.toUpperCase().replace(/\./g, '_') }`
+;
+
+const fromEnv = (schema, env, prefix) => Object.entries(schema).reduce(
+  (acc, [key, spec]) => {
+    const raw = env[envName(prefix, key, spec)];
+    return raw === undefined ?
+      acc :
+      setPath(acc, key.split('.'), coerce(spec, raw));
+  },
+  {}
+);
+
+// Boolean keys never swallow the next argument, so `--debug file.txt`
+// works. Anything that doesn't start with -- is ignored.
+const fromArgv = (schema, argv, report) => {
+  const known = Object.keys(schema).length > 0;
+  let acc = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const body = arg.slice(2);
+    const eq = body.indexOf('=');
+    let key = eq >= 0 ? body.slice(0, eq) : body;
+    let raw;
+    if (eq >= 0) {
+      raw = body.slice(eq + 1);
+    } else if (key.startsWith('no-') && !schema[key]) {
+      key = key.slice(3);
+      raw = 'false';
+    } else if (
+      (schema[key] || {}).type !== 'boolean' &&
+      argv[i + 1] !== undefined &&
+      !argv[i + 1].startsWith('--')
+    ) {
+      raw = argv[++i];
+    } else {
+      raw = 'true';
+    }
+    if (known && !schema[key]) {
+      report(`Unknown command line option: --${ key }`);
+      continue;
+    }
+    acc = setPath(acc, key.split('.'), coerce(schema[key], raw));
+  }
+  return acc;
+};
+
+// A listener on 'server' hears about 'server.port', and a listener on
+// 'server.port' hears about a new 'server' object.
+const isRelatedPath = (a, b) =>
+  a === b || a.startsWith(`${ b }.`) || b.startsWith(`${ a }.`)
+;
+
+// The paths below `path` that a value fills in. Plain objects are walked,
+// except at a key the schema declares, which takes its value whole.
+const leafPaths = (schema, path, value) =>
+  schema[path] || !isPlainObject(value) ?
+    [path] :
+    Object.keys(value).flatMap(key =>
+      leafPaths(schema, `${ path }.${ key }`, value[key])
+    )
+;
+
+// Setting a parent ('server') merges into what's already there, like the
+// loading layers do, so the keys it doesn't mention keep their values.
+const mergeIntoParent = (schema, values, key, value) => {
+  const current = getPath(values, key);
+  const isParent = !schema[key] &&
+    Object.keys(schema).some(k => k.startsWith(`${ key }.`));
+  return isParent && isPlainObject(value) && isPlainObject(current) ?
+    deepMerge(current, value) :
+    value
+  ;
+};
+
+// set() checks every schema key it touches: the key itself, the keys under
+// it when it names a parent ('server'), and the key above it when it
+// reaches into an object-typed one. Paths the schema doesn't cover are
+// refused, unless there is no schema at all.
+const setProblems = (schema, values, key, value) => {
+  const keys = Object.keys(schema);
+  if (keys.length === 0) return [];
+  const related = keys.filter(k => isRelatedPath(k, key));
+  const isParent = !schema[key] && related.some(k => k.startsWith(`${ key }.`));
+  if (isParent && !isPlainObject(value)) {
+    return [`Invalid config key ${ key }: expected object, got ${
+      JSON.stringify(value)
+    }`];
+  }
+  const unknown = leafPaths(schema, key, value).filter(path =>
+    !related.some(k => path === k || path.startsWith(`${ k }.`))
+  );
+  if (unknown.length > 0) {
+    return unknown.map(path => `Unknown config key: ${ path }`);
+  }
+  return checkConfig(
+    Object.fromEntries(related.map(k => [k, schema[k]])),
+    setPath(values, key.split('.'), value)
+  ).fold(errors => errors, () => []);
+};
+
+const withSchemaConfig = ({
+  schema = {},
+  files = [],
+  env = process.env,
+  envPrefix = '',
+  argv = process.argv.slice(2),
+  strict = false
+} = {}) => declareMixin(
+  { name: 'schemaConfig', requires: ['log'], provides: ['get', 'set', 'onChange'] },
+  o => {
+    const report = message => {
+      if (strict) throw new Error(message);
+      // a leveled log (see withLogger() below) gets these as warnings
+      (o.log.warn || o.log)(message);
+    };
+
+    // A leveled log gets the list as a field, a plain one as lines.
+    const reportAll = problems => {
+      if (problems.length <= 1) return problems.forEach(report);
+      const summary = `${ problems.length } config problems`;
+      const details = `${ summary }:\n${
+        problems.map(problem => `- ${ problem }`).join('\n')
+      }`;
+      if (strict) throw Object.assign(new Error(details), { problems });
+      if (o.log.warn) o.log.warn(summary, { problems });
+      else o.log(details);
+    };
+
+    const problems = [];
+    const collect = problem => {
+      problems.push(problem);
+    };
+
+    let values = [
+      fromDefaults(schema),
+      fromFiles(files, collect),
+      fromEnv(schema, env, envPrefix),
+      fromArgv(schema, argv, collect)
+    ].reduce(deepMerge, {});
+
+    checkConfig(schema, values).fold(
+      errors => reportAll([...problems, ...errors]),
+      () => reportAll(problems)
+    );
+
+    let listeners = [];
+
+    return extend(o, {
+      get (key) {
+        if (key === undefined) return values;
+        const value = getPath(values, key);
+        if (value !== undefined) return value;
+        const isOptional = !(schema[key] || {}).required &&
+          Object.keys(schema).some(k => isRelatedPath(k, key));
+        return isOptional ? undefined : report(`Missing config key: ${ key }`);
+      },
+      set (key, raw) {
+        const value = mergeIntoParent(
+          schema,
+          values,
+          key,
+          coerce(schema[key], raw)
+        );
+        const problems = setProblems(schema, values, key, value);
+        if (problems.length > 0) {
+          reportAll(problems);
+          return this;
+        }
+        const previous = getPath(values, key);
+        values = setPath(values, key.split('.'), value);
+        listeners
+          .filter(listener => isRelatedPath(listener.key, key))
+          .forEach(({ key: watched, fn }) => fn(
+            getPath(values, watched),
+            key === watched ? previous : undefined,
+            key
+          ));
+        return this;
+      },
+      // fn(newValue, previousValue, changedKey); returns unsubscribe().
+      // previousValue is only passed when exactly `key` was set.
+      onChange (key, fn) {
+        const listener = { key, fn };
+        listeners = [...listeners, listener];
+        return () => {
+          listeners = listeners.filter(l => l !== listener);
+        };
+      }
+    });
+  }
+);
+
+const createSchemaConfig = ({
+  logger = console.log.bind(console),
+  ...options
+} = {}) => composeMixinsWith({
+  registry: [
+    declareMixin({ name: 'logging', provides: ['log'] }, withLogging(logger))
+  ]
+})(withSchemaConfig(options))({});
+
+const schema = {
+  'server.host': { type: 'string', default: 'localhost' },
+  'server.port': { type: 'integer', default: 8080, env: 'PORT' },
+  'log.level': {
+    type: 'string',
+    default: 'info',
+    enum: ['debug', 'info', 'warn', 'error']
+  },
+  'db.url': { type: 'string', required: true },
+  debug: { type: 'boolean', default: false }
+};
+
+const appSettings = createSchemaConfig({
+  schema,
+  files: ['config.json', 'config.local.json'],
+  env: { PORT: '3000', APP_DB_URL: 'postgres://localhost/app' },
+  envPrefix: 'APP_',
+  argv: ['--debug', '--log.level=warn']
+});
+appSettings.get('server.port'); // 3000 (from env, parsed as an integer)
+appSettings.get('log.level'); // 'warn' (argv beats defaults)
+appSettings.get('server'); // { host: 'localhost', port: 3000 }
+appSettings.get('notThere'); // logs 'Missing config key: notThere'
+
+const stopWatching = appSettings.onChange('server', server =>
+  console.log('server is now', server)
+);
+appSettings.set('server.port', '4000');
+// server is now { host: 'localhost', port: 4000 }
+stopWatching();
+
+appSettings.set('log.level', 'loud');
+// logs 'Invalid config key log.level: expected one of "debug", "info", "warn",
+// "error", got "loud"' and keeps 'warn'
+
+// Setting a parent checks everything under it, and unknown keys are refused:
+appSettings.set('server', 'oops');
+// logs 'Invalid config key server: expected object, got "oops"'
+appSettings.set('server', { host: 'example.com', prot: 80 });
+// logs 'Unknown config key: server.prot'
+appSettings.get('server'); // { host: 'localhost', port: 4000 }
+
+// ...and what a parent leaves out is kept:
+appSettings.set('server', { host: 'example.com' });
+appSettings.get('server'); // { host: 'example.com', port: 4000 }
+
+// Strict mode throws instead:
+createSchemaConfig({ schema, env: {}, argv: [], strict: true });
+// Error: Missing required config key: db.url
+
+// ...but only for keys that are required. An optional key without a
+// default is just undefined:
+createSchemaConfig({
+  schema: { 'db.pool': { type: 'integer' } },
+  env: {},
+  argv: [],
+  strict: true
+}).get('db.pool'); // undefined
+
+// Everything wrong at load time comes in one report:
+createSchemaConfig({
+  schema,
+  env: { PORT: 'eighty' },
+  argv: ['--log.level=loud', '--verbose']
+});
+// logs:
+// 4 config problems:
+// - Unknown command line option: --verbose
+// - Invalid config key server.port: expected integer, got "eighty"
+// - Invalid config key log.level: expected one of "debug", "info", "warn",
+//   "error", got "loud"
+// - Missing required config key: db.url
+// (in strict mode, that's the message of the Error, whose `problems`
+// property has the list)
+
+//
+// A structured logger
+//
+
+// withLogging(logger) forwards one string to one function. That's fine for a
+// demo, but a "centralized logger" -- one of the good use-cases for
+// functional mixins listed above -- needs more:
+// * levels, and a minimum level below which records are dropped
+// * structured records: { time, level, msg, ...context, ...fields }
+// * child loggers that carry bound context, like which mixin and which
+//   object a record came from
+// * several transports: console, a file, an in-memory ring buffer for tests
+// * redaction of secrets before anything is written
+
+const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60
+};
+
+const REDACTED = '[REDACTED]';
+
+// Errors don't survive JSON.stringify(), so turn them into data first.
+const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  stack: error.stack
+});
+
+// Replaces the values of any matching key, at any depth, case-insensitively.
+const redactKeys = keys => {
+  const hidden = new Set(keys.map(key => key.toLowerCase()));
+  const redact = value => {
+    if (value instanceof Error) return redact(serializeError(value));
+    if (Array.isArray(value)) return value.map(redact);
+    if (!isPlainObject(value)) return value;
+    return Object.keys(value).reduce((acc, key) => ({
+      ...acc,
+      [key]: hidden.has(key.toLowerCase()) ? REDACTED : redact(value[key])
+    }), {});
+  };
+  return redact;
+};
+
+// Transports are functions that take a record.
+
+const consoleTransport = ({ stream = process.stdout } = {}) => record => {
+  stream.write(`${ JSON.stringify(record) }\n`);
+};
+
+const fileTransport = path => record => {
+  fs.appendFileSync(path, `${ JSON.stringify(record) }\n`);
+};
+
+// Keeps the last `size` records in memory.
+const memoryTransport = (size = 100) => {
+  let buffer = [];
+  const transport = record => {
+    buffer = [...buffer, record].slice(-size);
+  };
+  return Object.assign(transport, {
+    records: () => buffer,
+    clear: () => {
+      buffer = [];
+    }
+  });
+};
+
+const createLogger = ({
+  level = 'info',
+  transports = [consoleTransport()],
+  redact = [],
+  context = {},
+  now = () => new Date().toISOString()
+} = {}) => {
+  if (LOG_LEVELS[level] === undefined) {
+    throw new TypeError(`Unknown log level: ${ level }`);
+  }
+  const clean = redactKeys(redact);
+
+  const write = (recordLevel, msg, fields = {}) => {
+    if (LOG_LEVELS[recordLevel] < LOG_LEVELS[level]) return;
+    const record = clean({
+      time: now(),
+      level: recordLevel,
+      msg,
+      ...context,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    });
+    transports.forEach(transport => transport(record));
+  };
+
+  const levelMethods = Object.keys(LOG_LEVELS).reduce((acc, name) => ({
+    ...acc,
+    [name]: (msg, fields) => write(name, msg, fields)
+  }), {});
+
+  return {
+    ...levelMethods,
+    level,
+    isLevelEnabled: name => LOG_LEVELS[name] >= LOG_LEVELS[level],
+    // Children share transports and redaction, and add to the context.
+    child: (childContext = {}, options = {}) => createLogger({
+      level,
+      transports,
+      redact,
+      now,
+      ...options,
+      context: { ...context, ...childContext }
+    })
+  };
+};
+
+// The mixin. It provides the same `log` capability as withLogging(), so it
+// can stand in for it anywhere: this.log(text) still works (at info level),
+// and this.log.warn(), this.log.error() and friends are there for mixins that
+// know about levels. Each composed object gets its own child logger, bound
+// to the mixin name and an object id.
+let lastObjectId = 0;
+
+const withLogger = (logger, { name = 'object' } = {}) => declareMixin(
+  { name: 'logger', provides: ['log', 'logger'] },
+  o => {
+    const child = logger.child({ mixin: name, id: ++lastObjectId });
+    const log = Object.assign(
+      (msg, fields) => child.info(msg, fields),
+      child
+    );
+    return extend(o, { log, logger: child });
+  }
+);
+
+// createSchemaConfig() can take either kind of logger. withSchemaConfig()
+// already reports through log.warn() when there is one.
+const createSchemaConfig = ({
+  logger = console.log.bind(console),
+  ...options
+} = {}) => composeMixinsWith({
+  registry: [
+    typeof logger.child === 'function' ?
+      withLogger(logger, { name: 'config' }) :
+      declareMixin({ name: 'logging', provides: ['log'] }, withLogging(logger))
+  ]
+})(withSchemaConfig(options))({});
+
+// In tests, log to memory and assert on records:
+const memory = memoryTransport(50);
+const rootLogger = createLogger({
+  level: 'debug',
+  transports: [consoleTransport(), memory],
+  redact: ['password', 'token']
+});
+
+rootLogger.info('starting', { port: 8080 });
+// {"time":"...","level":"info","msg":"starting","port":8080}
+rootLogger.debug('connecting', { db: { user: 'app', password: 'hunter2' } });
+// {"time":"...","level":"debug","msg":"connecting",
+//  "db":{"user":"app","password":"[REDACTED]"}}
+
+const requestLogger = rootLogger.child({ requestId: 'abc123' });
+requestLogger.warn('slow request', { ms: 1200 });
+// {"time":"...","level":"warn","msg":"slow request","requestId":"abc123",
+//  "ms":1200}
+requestLogger.error('failed', new Error('boom'));
+// {"time":"...","level":"error","msg":"failed","requestId":"abc123",
+//  "error":{"name":"Error","message":"boom","stack":"..."}}
+
+memory.records().map(r => r.level); // ['info', 'debug', 'warn', 'error']
+
+// Injected into the config mixin:
+const loggedSettings = createSchemaConfig({
+  schema,
+  env: { APP_DB_URL: 'postgres://localhost/app' },
+  envPrefix: 'APP_',
+  argv: [],
+  logger: rootLogger
+});
+loggedSettings.get('notThere');
+// {"time":"...","level":"warn","msg":"Missing config key: notThere",
+//  "mixin":"config","id":1}
+
+// Load-time problems arrive as one record, with the list as a field:
+createSchemaConfig({
+  schema,
+  env: { PORT: 'eighty' },
+  argv: [],
+  logger: rootLogger
+});
+// {"time":"...","level":"warn","msg":"2 config problems","mixin":"config",
+//  "id":2,"problems":["Invalid config key server.port: expected integer,
+//  got \"eighty\"","Missing required config key: db.url"]}
+
+// Levels filter before any transport sees a record:
+const warnings = memoryTransport();
+const quiet = createLogger({ level: 'warn', transports: [warnings] });
+quiet.debug('cache miss', { key: 'user:1' });
+quiet.warn('disk almost full', { free: '1%' });
+warnings.records().map(({ msg }) => msg); // ['disk almost full']
+
+// In production, the same logger would write to a file instead:
+// createLogger({
+//   level: 'warn',
+//   transports: [fileTransport('/var/log/app.log')]
+// });